@@ -0,0 +1,263 @@
+// Fake WhatsApp Web runtime - runs in the harness stub page
+// - window.require with the modules the Store adapters look up (WAWebCollections, WAWebConnModel, ...)
+// - Backbone-like models/collections: model events bubble up to their collections
+// - Plays the scenario timeline: messages, acks, edits, revokes and media served by the harness
+// - The timeline starts once WRadar's bridge is up and its Store listeners are attached
+(function() {
+  const scenario = window.__FAKE_WA_SCENARIO__ || {};
+  const INTERNAL = Symbol('fake-wa');
+
+  class Emitter {
+    constructor() {
+      this[INTERNAL] = { listeners: new Map(), collections: [] };
+    }
+
+    on(event, fn) {
+      const list = this[INTERNAL].listeners.get(event) || [];
+      list.push(fn);
+      this[INTERNAL].listeners.set(event, list);
+      return this;
+    }
+
+    off(event, fn) {
+      const list = this[INTERNAL].listeners.get(event) || [];
+      this[INTERNAL].listeners.set(event, fn ? list.filter(f => f !== fn) : []);
+      return this;
+    }
+
+    trigger(event, ...args) {
+      for (const fn of (this[INTERNAL].listeners.get(event) || []).slice()) {
+        try {
+          fn(...args);
+        } catch (e) {
+          console.log('[FakeWA] listener error on ' + event + ': ' + e.message);
+        }
+      }
+    }
+  }
+
+  class Model extends Emitter {
+    constructor(attrs) {
+      super();
+      Object.assign(this, attrs);
+    }
+
+    set(attrs) {
+      let changed = false;
+      for (const [key, value] of Object.entries(attrs)) {
+        const previous = this[key];
+        if (previous === value) continue;
+        this[key] = value;
+        changed = true;
+        this._emit('change:' + key, this, value, previous);
+      }
+      if (changed) this._emit('change', this);
+    }
+
+    _emit(event, ...args) {
+      this.trigger(event, ...args);
+      this[INTERNAL].collections.forEach(c => c.trigger(event, ...args));
+    }
+  }
+
+  class Collection extends Emitter {
+    constructor() {
+      super();
+      this._models = new Map();
+    }
+
+    add(model) {
+      const key = keyOf(model.id);
+      if (this._models.has(key)) return this._models.get(key);
+      this._models.set(key, model);
+      model[INTERNAL].collections.push(this);
+      this.trigger('add', model);
+      return model;
+    }
+
+    get(id) {
+      return this._models.get(keyOf(id)) || undefined;
+    }
+
+    find(id) {
+      return Promise.resolve(this.get(id) || null);
+    }
+
+    getModelsArray() {
+      return Array.from(this._models.values());
+    }
+  }
+
+  function keyOf(id) {
+    return id && typeof id === 'object' ? id._serialized : id;
+  }
+
+  function wid(serialized) {
+    const [user, server] = String(serialized).split('@');
+    return { server, user, _serialized: serialized };
+  }
+
+  // Models
+
+  const me = wid(scenario.me || '15550000000@c.us');
+  const Msg = new Collection();
+  const Chat = new Collection();
+  const Contact = new Collection();
+  const GroupMetadata = new Collection();
+  const Presence = new Collection();
+  const Call = new Collection();
+  const PollVote = new Collection();
+  const Conn = new Model({ state: 'CONNECTED', me, pushname: scenario.pushname || 'WRadar Harness' });
+
+  function chatFor(chatId) {
+    let chat = Chat.get(chatId);
+    if (!chat) {
+      chat = Chat.add(new Model({
+        id: wid(chatId),
+        name: (scenario.chats && scenario.chats[chatId]) || chatId,
+        isGroup: /@g\.us$/.test(chatId),
+        t: Math.floor(Date.now() / 1000),
+        unreadCount: 0
+      }));
+      chat.msgs = new Collection();
+    }
+    return chat;
+  }
+
+  const msgIds = new Map(); // scenario id -> serialized message id
+
+  function createMessage(step) {
+    const chat = chatFor(step.chat);
+    const fromMe = !!step.fromMe;
+    const id = {
+      fromMe,
+      remote: chat.id,
+      id: step.id.toUpperCase(),
+      _serialized: fromMe + '_' + chat.id._serialized + '_' + step.id.toUpperCase()
+    };
+    msgIds.set(step.id, id._serialized);
+
+    const attrs = {
+      id,
+      type: step.type || 'chat',
+      body: step.body || '',
+      t: Math.floor(Date.now() / 1000),
+      from: fromMe ? me : wid(step.from || step.chat),
+      to: fromMe ? chat.id : me,
+      ack: step.ack !== undefined ? step.ack : (fromMe ? 0 : 1),
+      isNewMsg: true
+    };
+    if (chat.isGroup && !fromMe) attrs.author = wid(step.from);
+
+    const media = step.media && scenario.media && scenario.media[step.media];
+    if (media) {
+      Object.assign(attrs, {
+        type: media.type,
+        body: '',
+        caption: step.body || undefined,
+        mimetype: media.mimetype,
+        size: media.size,
+        filehash: media.filehash,
+        mediaKey: 'fake-' + step.media,
+        mediaKeyTimestamp: attrs.t,
+        directPath: '/media/' + step.media,
+        clientUrl: location.origin + '/media/' + step.media,
+        filename: step.media
+      });
+    }
+
+    const msg = new Model(attrs);
+    // Real messages download through the model; ours fetch from the harness server
+    Object.defineProperty(msg, 'downloadMedia', {
+      enumerable: false,
+      value: async () => {
+        if (!msg.clientUrl) throw new Error('no media');
+        const response = await fetch(msg.clientUrl);
+        return response.blob();
+      }
+    });
+
+    chat.set({ t: attrs.t });
+    chat.msgs.add(msg);
+    Msg.add(msg);
+  }
+
+  function findMessage(step) {
+    const msg = Msg.get(msgIds.get(step.id));
+    if (!msg) console.log('[FakeWA] Unknown message ' + step.id);
+    return msg;
+  }
+
+  const ACTIONS = {
+    message: createMessage,
+    ack: (step) => {
+      const msg = findMessage(step);
+      if (msg) msg.set({ ack: step.ack });
+    },
+    edit: (step) => {
+      const msg = findMessage(step);
+      if (msg) msg.set({ latestEditSenderTimestampMs: Date.now(), body: step.body });
+    },
+    revoke: (step) => {
+      const msg = findMessage(step);
+      // type flips first, as in WhatsApp; clearing the body afterwards is not an edit
+      if (msg) msg.set({ type: 'revoked', revokeTimestamp: Math.floor(Date.now() / 1000), body: '' });
+    },
+    disconnect: () => Conn.set({ state: 'TIMEOUT' }),
+    connect: () => Conn.set({ state: 'CONNECTED' })
+  };
+
+  // Modules
+
+  const modules = {
+    WAWebCollections: { Msg, Chat, Contact, GroupMetadata, Presence, Call, PollVote },
+    WAWebConnModel: { Conn },
+    WAWebCmd: { Cmd: new Emitter() },
+    WAWebUserPrefsMeUser: { getMaybeMeUser: () => me, getMeUser: () => me },
+    WAWebWidFactory: { createWid: wid },
+    WAWebChatLoadMessages: { loadEarlierMsgs: async () => [] }
+  };
+
+  window.require = function(name) {
+    if (!modules[name]) throw new Error('Requiring unknown module "' + name + '"');
+    return modules[name];
+  };
+  window.Debug = { VERSION: scenario.build || '2.3000.0-harness' };
+  try {
+    localStorage.setItem('last-wid-md', JSON.stringify(me._serialized));
+  } catch (_) {}
+
+  // Timeline
+
+  function play() {
+    console.log('[FakeWA] Playing ' + (scenario.steps || []).length + ' step(s)');
+    let at = 0;
+    (scenario.steps || []).forEach((step, i) => {
+      at += step.afterMs || 0;
+      setTimeout(() => {
+        const action = ACTIONS[step.action];
+        if (!action) {
+          console.log('[FakeWA] Unknown action ' + step.action);
+          return;
+        }
+        action(step);
+        if (i === scenario.steps.length - 1) console.log('[FakeWA] Scenario finished');
+      }, at);
+    });
+  }
+
+  // store.js attaches Msg and Chat listeners in one synchronous pass right before
+  // store_ready, so listeners on both mean WRadar is set up
+  function listening(collection) {
+    const listeners = collection[INTERNAL].listeners;
+    return (listeners.get('add') || []).length > 0;
+  }
+
+  const waitStartedAt = Date.now();
+  const waiting = setInterval(() => {
+    if (!window[Symbol.for('__wb_bridge')] || !listening(Msg) || !listening(Chat)) return;
+    clearInterval(waiting);
+    console.log('[FakeWA] WRadar listeners attached after ' + (Date.now() - waitStartedAt) + 'ms');
+    setTimeout(play, scenario.startAfterMs !== undefined ? scenario.startAfterMs : 1000);
+  }, 100);
+})();
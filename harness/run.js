@@ -0,0 +1,210 @@
+/*
+ Offline End-to-End Harness
+ - Starts the fake WhatsApp Web server with a scenario
+ - Runs src/index.js against it in headless Chrome (no network, no QR)
+ - Collects the envelopes WRadar delivers through its webhook pipeline
+ - Checks the scenario's expectations (event counts, compat report, downloaded media)
+ - Optional: --nats=<url> also publishes to NATS and checks every event arrived there
+
+ Usage: node harness/run.js [--scenario=harness/scenarios/basic.json] [--nats=nats://localhost:4222]
+                            [--timeout=90000] [--keep] [--verbose]
+ Chrome: BROWSER_PATH or config browser.executablePath/channel, as for WRadar itself
+*/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { FakeWhatsAppServer } = require('./server');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+function argValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a === `--${name}` || a.startsWith(prefix));
+  if (!arg) return undefined;
+  return arg.startsWith(prefix) ? arg.slice(prefix.length) : true;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Default config with every path moved into the run's temp dir
+function buildConfig(baseDir, scenario, fakeUrl, serverPort, natsUrl) {
+  const config = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, 'config', 'default.json'), 'utf8'));
+  const sessions = path.join(baseDir, 'sessions');
+
+  config.mode = 'standalone';
+  config.server.port = serverPort;
+  config.browser.headless = true;
+  config.whatsapp = { phoneNumber: String(scenario.me || '15550000000@c.us').split('@')[0], url: fakeUrl };
+  config.session.path = sessions;
+  config.media.path = path.join(baseDir, 'media');
+  config.events.quarantinePath = path.join(sessions, 'quarantine');
+  config.catchUp.path = path.join(sessions, 'highwater.json');
+  config.backfill.checkpointPath = path.join(sessions, 'backfill.json');
+
+  config.nats.enabled = !!natsUrl;
+  if (natsUrl) {
+    config.nats.url = natsUrl;
+    config.nats.outbox.path = path.join(sessions, 'outbox');
+  }
+
+  config.webhooks.enabled = true;
+  config.webhooks.secret = '';
+  config.webhooks.deadLetterPath = path.join(sessions, 'webhooks-dead-letter');
+  config.webhooks.targets = [{ url: `${fakeUrl}collect`, events: ['*'] }];
+  return config;
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(full) : [full];
+  });
+}
+
+// Each check returns { name, ok, detail }
+function checkExpectations(expect, fake, mediaDir) {
+  const results = [];
+  const counts = {};
+  for (const evt of fake.collected) counts[evt.type] = (counts[evt.type] || 0) + 1;
+
+  for (const [type, min] of Object.entries(expect.events || {})) {
+    const seen = counts[type] || 0;
+    results.push({ name: `${type} >= ${min}`, ok: seen >= min, detail: `${seen} seen` });
+  }
+
+  if (expect.compatOk !== undefined) {
+    const report = fake.collected.filter(e => e.type === 'compat_report').pop();
+    const ok = !!report && report.payload.ok === expect.compatOk;
+    results.push({ name: `compat_report ok = ${expect.compatOk}`, ok, detail: report ? `missing: ${report.payload.missing.join(', ') || 'none'}` : 'no report' });
+  }
+
+  if (expect.media && expect.media.length) {
+    const hashes = new Set(listFiles(mediaDir).map(f => crypto.createHash('sha256').update(fs.readFileSync(f)).digest('base64')));
+    for (const name of expect.media) {
+      const ok = hashes.has(fake.mediaHash(name));
+      results.push({ name: `media ${name} downloaded`, ok, detail: ok ? 'hash matches' : 'not on disk' });
+    }
+  }
+  return results;
+}
+
+async function subscribeNats(natsUrl, seen) {
+  const { connect, JSONCodec } = require('nats');
+  const nc = await connect({ servers: natsUrl });
+  const codec = JSONCodec();
+  const sub = nc.subscribe('whatsapp.>');
+  (async () => {
+    for await (const msg of sub) {
+      try {
+        const evt = codec.decode(msg.data);
+        if (evt.eventId) seen.add(evt.eventId);
+      } catch (_) {}
+    }
+  })();
+  return nc;
+}
+
+function stopProcess(child, timeoutMs = 15000) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve();
+    const timer = setTimeout(() => {
+      try { child.kill('SIGKILL'); } catch (_) {}
+    }, timeoutMs);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.kill('SIGTERM');
+  });
+}
+
+async function main() {
+  const scenarioPath = path.resolve(argValue('scenario') || path.join(__dirname, 'scenarios', 'basic.json'));
+  const natsUrl = typeof argValue('nats') === 'string' ? argValue('nats') : null;
+  const timeoutMs = Number(argValue('timeout')) || 90000;
+  const verbose = !!argValue('verbose');
+  const keep = !!argValue('keep');
+
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+  const expect = scenario.expect || {};
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wradar-harness-'));
+  console.log(`[Harness] Scenario: ${path.relative(PROJECT_ROOT, scenarioPath)} (${(scenario.steps || []).length} steps)`);
+  console.log(`[Harness] Work dir: ${baseDir}`);
+
+  const fake = new FakeWhatsAppServer(scenario);
+  const fakeUrl = await fake.start();
+
+  const configPath = path.join(baseDir, 'config.json');
+  const config = buildConfig(baseDir, scenario, fakeUrl, await freePort(), natsUrl);
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+
+  const natsSeen = new Set();
+  const nc = natsUrl ? await subscribeNats(natsUrl, natsSeen) : null;
+
+  const logPath = path.join(baseDir, 'wradar.log');
+  const log = fs.createWriteStream(logPath);
+  const child = spawn(process.execPath, [path.join(PROJECT_ROOT, 'src', 'index.js')], {
+    cwd: PROJECT_ROOT,
+    env: { ...process.env, WRADAR_CONFIG: configPath },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  for (const stream of [child.stdout, child.stderr]) {
+    stream.pipe(log, { end: false });
+    if (verbose) stream.pipe(process.stdout, { end: false });
+  }
+  let exited = null;
+  child.once('exit', (code, signal) => { exited = signal || code; });
+
+  // Poll until every expectation holds, WRadar exits or time runs out
+  const startedAt = Date.now();
+  let results = [];
+  while (Date.now() - startedAt < timeoutMs && exited === null) {
+    results = checkExpectations(expect, fake, config.media.path);
+    if (results.every(r => r.ok)) break;
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  results = checkExpectations(expect, fake, config.media.path);
+
+  if (nc) {
+    // Published events can trail webhook delivery a little
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    const missing = fake.collected.filter(e => !natsSeen.has(e.eventId));
+    results.push({ name: 'all events published to NATS', ok: missing.length === 0, detail: `${natsSeen.size} seen, ${missing.length} missing` });
+    await nc.close();
+  }
+
+  await stopProcess(child);
+  fake.stop();
+
+  const ok = exited === null && results.every(r => r.ok);
+  for (const r of results) {
+    console.log(`[Harness] ${r.ok ? 'PASS' : 'FAIL'} ${r.name} (${r.detail})`);
+  }
+  if (exited !== null) console.log(`[Harness] FAIL WRadar exited early (${exited})`);
+  console.log(`[Harness] ${ok ? 'Passed' : 'Failed'} in ${Date.now() - startedAt}ms, ${fake.collected.length} event(s) collected`);
+
+  if (ok && !keep) {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  } else {
+    console.log(`[Harness] Log and data kept in ${baseDir}`);
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error('[Harness] Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+/*
+ Fake WhatsApp Web Server
+ - Serves a stub page that loads fake-wa.js (fake window.require + scripted timeline)
+ - Serves deterministic media blobs under /media/<name>
+ - POST /collect is a webhook sink that records every envelope WRadar delivers
+*/
+const EventEmitter = require('events');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FAKE_WA_PATH = path.join(__dirname, 'fake-wa.js');
+
+class FakeWhatsAppServer extends EventEmitter {
+  constructor(scenario, port = 0) {
+    super();
+    this.scenario = scenario;
+    this.port = port;
+    this.server = null;
+    this.collected = [];
+    this.media = buildMedia(scenario.media || {});
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname === '/' && req.method === 'GET') {
+        this.servePage(res);
+      } else if (url.pathname === '/fake-wa.js') {
+        res.writeHead(200, { 'Content-Type': 'application/javascript' });
+        res.end(fs.readFileSync(FAKE_WA_PATH));
+      } else if (url.pathname.startsWith('/media/')) {
+        this.serveMedia(decodeURIComponent(url.pathname.slice('/media/'.length)), res);
+      } else if (url.pathname === '/collect' && req.method === 'POST') {
+        this.handleCollect(req, res);
+      } else {
+        res.writeHead(404);
+        res.end('Not Found');
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.port = this.server.address().port;
+    console.log(`[Harness:server] Fake WhatsApp Web at ${this.url}`);
+    return this.url;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.port}/`;
+  }
+
+  /**
+   * sha256 (base64) of a scenario media blob, the same hash WhatsApp puts in filehash.
+   */
+  mediaHash(name) {
+    const media = this.media[name];
+    return media ? media.filehash : null;
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // Private Request Handlers
+
+  servePage(res) {
+    const scenario = { ...this.scenario, media: {} };
+    for (const [name, media] of Object.entries(this.media)) {
+      scenario.media[name] = { type: media.type, mimetype: media.mimetype, size: media.data.length, filehash: media.filehash };
+    }
+    // </script> inside the JSON would end the inline script early
+    const json = JSON.stringify(scenario).replace(/</g, '\\u003c');
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>WhatsApp</title>
+</head>
+<body>
+  <div id="app">
+    <div data-testid="chat-list" role="grid"></div>
+  </div>
+  <script>window.__FAKE_WA_SCENARIO__ = ${json};</script>
+  <script src="/fake-wa.js"></script>
+</body>
+</html>`;
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+
+  serveMedia(name, res) {
+    const media = this.media[name];
+    if (!media) {
+      res.writeHead(404);
+      res.end('Not Found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': media.mimetype, 'Content-Length': media.data.length });
+    res.end(media.data);
+  }
+
+  handleCollect(req, res) {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        const envelope = JSON.parse(body);
+        this.collected.push(envelope);
+        this.emit('event', envelope);
+        res.writeHead(200);
+        res.end('OK');
+      } catch (e) {
+        res.writeHead(400);
+        res.end('Bad Request');
+      }
+    });
+  }
+}
+
+// Same seed, same bytes: media hashes are stable across runs
+function buildMedia(specs) {
+  const media = {};
+  for (const [name, spec] of Object.entries(specs)) {
+    const data = Buffer.alloc(spec.bytes || 1024);
+    let state = (spec.seed || 1) >>> 0;
+    for (let i = 0; i < data.length; i++) {
+      state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+      data[i] = state >>> 24;
+    }
+    media[name] = {
+      type: spec.type || 'document',
+      mimetype: spec.mimetype || 'application/octet-stream',
+      data,
+      filehash: crypto.createHash('sha256').update(data).digest('base64')
+    };
+  }
+  return media;
+}
+
+module.exports = { FakeWhatsAppServer };
@@ -0,0 +1,184 @@
+/*
+ Historical Backfill
+ - Loads earlier messages of one chat (or all chats) for a date range
+ - Publishes them as message_backfill events through the Client
+ - Throttled page by page so WhatsApp Web stays responsive
+ - Checkpoints progress per chat so an interrupted backfill resumes
+ - Media is only downloaded when requested
+*/
+const fs = require('fs');
+const path = require('path');
+
+class Backfill {
+  constructor(page, client, config = {}) {
+    this.page = page;
+    this.client = client;
+    this.config = {
+      batchSize: 50,
+      throttleMs: 1500,
+      media: false,
+      checkpointPath: './sessions/backfill.json',
+      ...config
+    };
+    this.running = false;
+    this.stopped = false;
+    this.checkpoints = this._loadCheckpoints();
+
+    this.stats = {
+      chats: 0,
+      published: 0,
+      skippedChats: 0
+    };
+  }
+
+  /**
+   * Backfills chatId ('all' for every chat) between since and until
+   * (Date or anything Date accepts). Resolves with the stats when done.
+   */
+  async run({ chatId = 'all', since, until } = {}) {
+    if (this.running) throw new Error('Backfill already running');
+    this.running = true;
+    this.stopped = false;
+    this.stats = { chats: 0, published: 0, skippedChats: 0 };
+
+    const sinceSec = toSeconds(since, 0);
+    const untilSec = toSeconds(until, Math.floor(Date.now() / 1000));
+
+    try {
+      const chatIds = chatId === 'all' ? await this._listChats(sinceSec) : [chatId];
+      console.log(`[Backfill] Starting: ${chatIds.length} chat(s), ${new Date(sinceSec * 1000).toISOString()} → ${new Date(untilSec * 1000).toISOString()}`);
+
+      // An open-ended range keeps the same checkpoint across restarts
+      const rangeKey = `${sinceSec}|${until ? untilSec : 'now'}`;
+      for (const id of chatIds) {
+        if (this.stopped) break;
+        await this._backfillChat(id, sinceSec, untilSec, rangeKey);
+      }
+
+      console.log(`[Backfill] ${this.stopped ? 'Stopped' : 'Finished'}: ${this.stats.published} message(s) from ${this.stats.chats} chat(s)`);
+      return this.getStats();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  setPage(page) {
+    this.page = page;
+  }
+
+  getStats() {
+    return { ...this.stats, running: this.running };
+  }
+
+  // Private Backfill Methods
+
+  async _backfillChat(chatId, since, until, rangeKey) {
+    const key = `${chatId}|${rangeKey}`;
+    const checkpoint = this.checkpoints[key] || { cursor: null, published: 0, done: false };
+    if (checkpoint.done) {
+      console.log(`[Backfill] ${chatId} already backfilled for this range, skipping`);
+      this.stats.skippedChats++;
+      return;
+    }
+    if (checkpoint.cursor) {
+      console.log(`[Backfill] Resuming ${chatId} from ${new Date(checkpoint.cursor.t * 1000).toISOString()} (${checkpoint.published} published)`);
+    }
+
+    this.stats.chats++;
+    while (!this.stopped) {
+      const result = await this.page.evaluate(async (id, s, u, cursor, limit) => {
+        const api = window[Symbol.for('__wb_backfill')];
+        if (!api) return { error: 'backfill_unavailable', messages: [], done: true };
+        return api.fetchPage(id, s, u, cursor, limit);
+      }, chatId, since, until, checkpoint.cursor, this.config.batchSize);
+
+      if (result.error) {
+        console.log(`[Backfill] ${chatId}: ${result.error}`);
+        if (result.error === 'backfill_unavailable') this.stopped = true;
+        return;
+      }
+
+      for (const rawData of result.messages) {
+        rawData.backfill = { media: !!this.config.media };
+        await this.client.emitEvent(
+          { event: 'message_backfill', timestamp: Date.now(), rawData },
+          { media: !!this.config.media }
+        );
+        checkpoint.cursor = advance(checkpoint.cursor, rawData);
+        checkpoint.published++;
+        this.stats.published++;
+      }
+
+      checkpoint.done = !!result.done;
+      this.checkpoints[key] = checkpoint;
+      this._saveCheckpoints();
+
+      if (checkpoint.done) break;
+      await new Promise(resolve => setTimeout(resolve, this.config.throttleMs));
+    }
+
+    if (checkpoint.done) {
+      console.log(`[Backfill] ${chatId} done (${checkpoint.published} message(s))`);
+      this.client.emitEvent({
+        event: 'backfill_completed',
+        timestamp: Date.now(),
+        rawData: { chatId, since, until, published: checkpoint.published }
+      });
+    }
+  }
+
+  async _listChats(since) {
+    const chats = await this.page.evaluate(() => {
+      const api = window[Symbol.for('__wb_backfill')];
+      return api ? api.listChats() : [];
+    });
+    // A chat with no activity since the start of the range has nothing to backfill
+    return chats.filter(c => c.lastActivity >= since).map(c => c.chatId);
+  }
+
+  // Private Checkpoint Methods
+
+  _loadCheckpoints() {
+    try {
+      if (fs.existsSync(this.config.checkpointPath)) {
+        return JSON.parse(fs.readFileSync(this.config.checkpointPath, 'utf8'));
+      }
+    } catch (error) {
+      console.log(`[Backfill] Failed to load checkpoint: ${error.message}`);
+    }
+    return {};
+  }
+
+  _saveCheckpoints() {
+    try {
+      fs.mkdirSync(path.dirname(this.config.checkpointPath), { recursive: true });
+      fs.writeFileSync(this.config.checkpointPath, JSON.stringify(this.checkpoints, null, 2));
+    } catch (error) {
+      console.log(`[Backfill] Failed to save checkpoint: ${error.message}`);
+    }
+  }
+}
+
+// Helpers
+
+function toSeconds(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const ms = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+  return Math.floor(ms / 1000);
+}
+
+// Messages come newest first; the cursor remembers every id at the oldest timestamp
+function advance(cursor, rawData) {
+  const id = rawData.id && rawData.id._serialized;
+  const t = rawData.timestamp;
+  if (!cursor || t < cursor.t) return { t, ids: [id] };
+  if (t === cursor.t && !cursor.ids.includes(id)) cursor.ids.push(id);
+  return cursor;
+}
+
+module.exports = Backfill;
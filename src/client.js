@@ -2,56 +2,83 @@
  Event Client
  - EventEmitter for all events
  - Routes events to NATS
+ - Routes events to HTTP webhooks
  - Media enrichment and processing
+ - Normalizes everything to the v1 event envelope before routing
 */
 const EventEmitter = require('events');
 const { MediaManager } = require('./media/manager');
+const { EventNormalizer, toMediaSource } = require('./events/normalizer');
 
 class Client extends EventEmitter {
-  constructor({ media, storageDir, eventServer, natsPublisher, page }) {
+  constructor({ media, storageDir, eventServer, natsPublisher, webhookDispatcher, normalizer, page }) {
     super();
     this.media = new MediaManager(page, storageDir, media);
     this.eventServer = eventServer;
     this.natsPublisher = natsPublisher;
+    this.webhookDispatcher = webhookDispatcher || null;
+    this.normalizer = normalizer || new EventNormalizer();
+  }
+
+  setPage(page) {
+    this.media.setPage(page);
   }
 
   updatePhoneNumber(phoneNumber) {
+    this.normalizer.setAccountId(phoneNumber);
     if (this.natsPublisher) {
       this.natsPublisher.updatePhoneNumber(phoneNumber);
     }
   }
 
-  async emitEvent(evt) {
+  /**
+   * options.media = false skips media enrichment (e.g. backfill without media).
+   */
+  async emitEvent(evt, options = {}) {
+    // Raw bridge events become envelopes; invalid ones end up in quarantine
+    const envelope = evt && evt.schemaVersion ? evt : this.normalizer.normalize(evt);
+    if (!envelope) return;
+
     // Process event with media enrichment
-    let payload = evt;
-    try {
-      payload = await this.media.maybeEnrich(evt);
-    } catch (e) {
-      payload = { ...evt, mediaError: String(e) };
+    const source = toMediaSource(envelope);
+    if (source && options.media !== false) {
+      try {
+        const enriched = await this.media.maybeEnrich({ rawData: source });
+        if (enriched.localMedia) envelope.payload.localMedia = enriched.localMedia;
+      } catch (e) {
+        envelope.payload.localMedia = { queued: false, error: String(e) };
+      }
     }
     
     // Send to internal event server (always works)
     if (this.eventServer) {
-      this.eventServer.addEvent(payload);
-      console.log(`[WRadar:client] Sent to server: ${payload.event}`);
+      this.eventServer.addEvent(envelope);
+      console.log(`[WRadar:client] Sent to server: ${envelope.type}`);
     }
     
     // Send to NATS
     if (this.natsPublisher) {
-      const published = await this.natsPublisher.publishEvent(payload);
+      const published = await this.natsPublisher.publishEvent(envelope);
       
-      if (!published) {
+      if (!published && this.natsPublisher.outbox) {
+        console.log(`[WRadar:client] NATS publish deferred - event kept in outbox: ${envelope.type}`);
+      } else if (!published) {
         console.log('[WRadar:client] ⚠️  NATS publish failed - event may be lost');
         console.log('[WRadar:client] Check NATS connection');
       } else {
-        console.log(`[WRadar:client] Published to NATS: ${payload.event}`);
+        console.log(`[WRadar:client] Published to NATS: ${envelope.type}`);
       }
     } else {
       console.log('[WRadar:client] ⚠️  No NATS publisher - events not published');
     }
+
+    // Send to webhooks (queued, delivery happens in background)
+    if (this.webhookDispatcher) {
+      this.webhookDispatcher.dispatch(envelope);
+    }
     
     // Emit for any other listeners
-    this.emit('event', payload);
+    this.emit('event', envelope);
   }
 }
 
@@ -0,0 +1,283 @@
+/*
+ Event Normalizer
+ - Maps raw bridge events ({ event, timestamp, rawData }) to the v1 envelope
+ - Validates envelopes against envelope.schema.json
+ - Routes invalid events to a quarantine directory with the raw original
+ - Drops build-specific backups (__raw) from published payloads
+*/
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const schema = require('./envelope.schema.json');
+const { validate } = require('./validator');
+
+const SCHEMA_VERSION = 1;
+
+// serializeMsg output; the rest of the message_* family has its own shape
+const MESSAGE_EVENTS = new Set(['message_create', 'message_received', 'message_delivered', 'message_read', 'message_backfill']);
+
+const MEDIA_FIELDS = ['mimetype', 'size', 'mediaKey', 'mediaKeyTimestamp', 'filehash', 'encFilehash', 'directPath', 'clientUrl', 'duration'];
+const STRUCTURED_FIELDS = ['location', 'vcards', 'poll', 'pollVote', 'buttons', 'buttonReply', 'list', 'listReply'];
+
+// Where the chat and the acting user live in each payload, first match wins
+const CHAT_KEYS = ['chatId', 'groupId'];
+const SENDER_KEYS = ['author', 'actor', 'reactor', 'poster', 'participant', 'caller', 'contactId'];
+
+class EventNormalizer {
+  constructor(config = {}) {
+    this.config = {
+      validate: true,
+      quarantinePath: null,
+      ...config
+    };
+    this.accountId = config.accountId || null;
+    if (this.config.quarantinePath) this._ensureDir(this.config.quarantinePath);
+
+    this.stats = {
+      normalized: 0,
+      quarantined: 0
+    };
+  }
+
+  setAccountId(accountId) {
+    this.accountId = accountId || null;
+  }
+
+  /**
+   * Returns the envelope for a raw event, or null when it was quarantined.
+   */
+  normalize(evt) {
+    let envelope = null;
+    let errors;
+    try {
+      if (!evt || typeof evt.event !== 'string') {
+        errors = ['$.event: missing event name'];
+      } else if (evt.rawData && evt.rawData.error === 'serialization_failed') {
+        errors = ['$.rawData: serialization failed in page'];
+      } else {
+        envelope = this._build(evt);
+        errors = this.config.validate ? this._validate(envelope) : [];
+      }
+    } catch (error) {
+      errors = [`mapping failed: ${error.message}`];
+    }
+
+    if (errors.length) {
+      this._quarantine(evt, errors);
+      return null;
+    }
+    this.stats.normalized++;
+    return envelope;
+  }
+
+  getStats() {
+    return { ...this.stats, schemaVersion: SCHEMA_VERSION };
+  }
+
+  // Private Mapping Methods
+
+  _build(evt) {
+    const type = evt.event;
+    const raw = evt.rawData && typeof evt.rawData === 'object' ? evt.rawData : {};
+    const capturedAt = typeof evt.timestamp === 'number' ? evt.timestamp : Date.now();
+
+    let payload;
+    let chat;
+    let sender;
+    if (MESSAGE_EVENTS.has(type)) {
+      payload = this._messagePayload(raw);
+      chat = toChat(remoteOf(raw.id) || (payload.fromMe ? idOf(raw.to) : idOf(raw.from)));
+      sender = { id: idOf(raw.author) || idOf(raw.from), fromMe: payload.fromMe };
+    } else {
+      payload = this._genericPayload(raw);
+      chat = toChat(pick(payload, CHAT_KEYS) || (type === 'status_posted' ? 'status@broadcast' : remoteOf(raw.id)));
+      const senderId = pick(payload, SENDER_KEYS) || (payload.pollVote && payload.pollVote.voter) || null;
+      const fromMe = typeof payload.fromMe === 'boolean' ? payload.fromMe : !!(raw.id && raw.id.fromMe);
+      sender = senderId || fromMe ? { id: senderId, fromMe } : null;
+      if (!chat && payload.pollVote && payload.pollVote.chatId) chat = toChat(payload.pollVote.chatId);
+    }
+
+    if (evt.localMedia) payload.localMedia = evt.localMedia;
+
+    const envelope = {
+      schemaVersion: SCHEMA_VERSION,
+      eventId: this._eventId(type, raw, payload, capturedAt),
+      accountId: this.accountId,
+      type,
+      occurredAt: this._occurredAt(type, raw, capturedAt),
+      capturedAt,
+      chat,
+      sender,
+      payload
+    };
+    if (evt.pageSessionId || typeof evt.seq === 'number') {
+      envelope.source = { pageSessionId: evt.pageSessionId || null, seq: typeof evt.seq === 'number' ? evt.seq : null };
+    }
+    return envelope;
+  }
+
+  _messagePayload(raw) {
+    const payload = {
+      id: idOf(raw.id),
+      type: raw.type || 'unknown',
+      body: typeof raw.body === 'string' ? raw.body : null,
+      timestamp: Number.isInteger(raw.timestamp) ? raw.timestamp : null,
+      fromMe: !!(raw.id && raw.id.fromMe),
+      ack: Number.isInteger(raw.ack) ? raw.ack : null,
+      isNewMsg: typeof raw.isNewMsg === 'boolean' ? raw.isNewMsg : null,
+      starred: !!raw.star,
+      broadcast: !!raw.broadcast,
+      forwarded: !!raw.forwarded,
+      quoted: raw.quotedMsg ? { id: idOf(raw.quotedMsg.id), body: raw.quotedMsg.body || null } : null,
+      mentions: (raw.mentionedJidList || []).map(idOf).filter(Boolean)
+    };
+
+    const media = extractMedia(raw);
+    if (media) payload.media = media;
+    for (const field of STRUCTURED_FIELDS) {
+      if (raw[field] !== undefined) payload[field] = raw[field];
+    }
+    if (raw.backfill) payload.backfill = raw.backfill;
+    if (raw.catchUp) payload.catchUp = true;
+    return payload;
+  }
+
+  _genericPayload(raw) {
+    const payload = {};
+    for (const [key, value] of Object.entries(raw)) {
+      if (key.startsWith('__')) continue;
+      payload[key] = value;
+    }
+    if (payload.id && typeof payload.id === 'object') payload.id = idOf(payload.id);
+
+    const media = extractMedia(raw);
+    if (media) {
+      for (const field of MEDIA_FIELDS) delete payload[field];
+      payload.media = media;
+    }
+    return payload;
+  }
+
+  _occurredAt(type, raw, capturedAt) {
+    const candidates = {
+      message_edited: raw.editedAt,
+      message_revoked: raw.revokedAt,
+      status_posted: raw.postedAt
+    };
+    const value = type in candidates ? candidates[type] : raw.timestamp;
+    return toMillis(value) || capturedAt;
+  }
+
+  _eventId(type, raw, payload, capturedAt) {
+    // Message-bound events are stable across retries and restarts
+    const messageId = typeof payload.id === 'string' ? payload.id : null;
+    if (messageId) {
+      // Edits are keyed on the sender's edit time; the in-page version counter restarts with the page
+      if (type === 'message_edited') {
+        const editedAt = toMillis(raw.editedAt);
+        return `${type}-${messageId}-${raw.field || 'body'}-${editedAt || capturedAt}`;
+      }
+      const version = raw.version ? `-v${raw.version}` : '';
+      return `${type}-${messageId}${version}`;
+    }
+    const hash = crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex').slice(0, 16);
+    return `${type}-${capturedAt}-${hash}`;
+  }
+
+  _validate(envelope) {
+    const errors = validate(schema, envelope);
+    const payloadSchema = schema.definitions[MESSAGE_EVENTS.has(envelope.type) ? 'message' : envelope.type];
+    if (payloadSchema) {
+      validate(payloadSchema, envelope.payload, schema, '$.payload', errors);
+    }
+    return errors;
+  }
+
+  // Private Quarantine Methods
+
+  _quarantine(evt, errors) {
+    this.stats.quarantined++;
+    const name = ((evt && typeof evt.event === 'string' && evt.event) || 'unknown').replace(/[^\w-]/g, '_');
+    console.log(`[Events] Quarantined ${name}: ${errors.slice(0, 3).join('; ')}`);
+    if (!this.config.quarantinePath) return;
+
+    try {
+      const quarantinedAt = Date.now();
+      const record = { quarantinedAt, schemaVersion: SCHEMA_VERSION, errors, original: evt };
+      const file = path.join(this.config.quarantinePath, `${quarantinedAt}_${name}_${crypto.randomUUID().slice(0, 8)}.json`);
+      fs.writeFileSync(file, JSON.stringify(record, null, 2));
+    } catch (error) {
+      console.log(`[Events] Failed to write quarantine record: ${error.message}`);
+    }
+  }
+
+  _ensureDir(dir) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+}
+
+/**
+ * Rebuilds the raw media descriptor the MediaManager works with from an
+ * envelope, so enrichment and the media worker share one mapping.
+ */
+function toMediaSource(envelope) {
+  const payload = envelope && envelope.payload;
+  if (!payload || !payload.media || typeof payload.id !== 'string') return null;
+  const chatId = envelope.chat ? envelope.chat.id : null;
+  return {
+    ...payload.media,
+    id: { _serialized: payload.id, remote: chatId, fromMe: !!(envelope.sender && envelope.sender.fromMe) },
+    from: chatId,
+    type: payload.type || payload.mediaType,
+    timestamp: payload.timestamp || payload.postedAt,
+    poster: payload.poster,
+    caption: payload.caption,
+    postedAt: payload.postedAt,
+    expiresAt: payload.expiresAt
+  };
+}
+
+// Helpers
+
+function idOf(wid) {
+  if (!wid) return null;
+  if (typeof wid === 'string') return wid;
+  if (wid._serialized) return wid._serialized;
+  return wid.user && wid.server ? `${wid.user}@${wid.server}` : null;
+}
+
+function remoteOf(msgId) {
+  return msgId && typeof msgId === 'object' ? idOf(msgId.remote) : null;
+}
+
+function toChat(chatId) {
+  const id = idOf(chatId);
+  return id ? { id, isGroup: /@g\.us$/.test(id) } : null;
+}
+
+function pick(payload, keys) {
+  for (const key of keys) {
+    const value = idOf(payload[key]);
+    if (value) return value;
+  }
+  return null;
+}
+
+function extractMedia(raw) {
+  if (!raw.mediaKey && !raw.directPath && !raw.clientUrl) return null;
+  const media = {};
+  for (const field of MEDIA_FIELDS) {
+    media[field] = raw[field] !== undefined ? raw[field] : null;
+  }
+  return media;
+}
+
+function toMillis(value) {
+  if (typeof value !== 'number' || !isFinite(value) || value <= 0) return null;
+  // WhatsApp mixes seconds and milliseconds
+  return Math.floor(value < 1e12 ? value * 1000 : value);
+}
+
+module.exports = { EventNormalizer, toMediaSource, SCHEMA_VERSION };
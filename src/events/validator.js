@@ -0,0 +1,88 @@
+/*
+ Schema Validator
+ - Small JSON Schema (draft-07) subset used by envelope.schema.json
+ - Supports type, const, enum, required, properties, additionalProperties,
+   items, minLength, minimum, pattern and local $ref (#/definitions/...)
+ - Returns a list of "path: problem" strings; empty means valid
+*/
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+}
+
+function validate(schema, value, root = schema, at = '$', errors = []) {
+  if (!schema) return errors;
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) {
+      errors.push(`${at}: unknown $ref ${schema.$ref}`);
+      return errors;
+    }
+    return validate(target, value, root, at, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${at}: expected ${types.join('|')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(schema, 'const') && value !== schema.const) {
+    errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: expected one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: shorter than ${schema.minLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: below minimum ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validate(schema.items, item, root, `${at}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: required`);
+    }
+    const props = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      if (props[key]) {
+        if (value[key] !== undefined) validate(props[key], value[key], root, `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
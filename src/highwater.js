@@ -0,0 +1,94 @@
+/*
+ Message High-Water Marks
+ - Remembers the newest published message per chat (timestamp + ids at it)
+ - Persisted to disk so a restart knows what was already published
+ - The page diffs synced messages against it to emit only the missed ones
+*/
+const fs = require('fs');
+const path = require('path');
+
+// Message events whose payload timestamp moves the mark
+const MESSAGE_EVENTS = new Set(['message_create', 'message_received', 'message_delivered', 'message_read', 'message_backfill']);
+
+class HighWaterMarks {
+  constructor(config = {}) {
+    this.config = {
+      path: './sessions/highwater.json',
+      flushMs: 2000,
+      ...config
+    };
+    this.chats = {};   // chatId -> { t, ids }
+    this.global = 0;   // newest message timestamp seen in any chat
+    this.dirty = false;
+    this.timer = null;
+    this._load();
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.flush(), this.config.flushMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flush();
+  }
+
+  /**
+   * Feeds a published envelope; only message events with a timestamp count.
+   */
+  observe(envelope) {
+    if (!envelope || !MESSAGE_EVENTS.has(envelope.type) || !envelope.chat) return;
+    const { id, timestamp } = envelope.payload || {};
+    if (!id || !Number.isInteger(timestamp)) return;
+
+    const chatId = envelope.chat.id;
+    const mark = this.chats[chatId];
+    if (!mark || timestamp > mark.t) {
+      this.chats[chatId] = { t: timestamp, ids: [id] };
+    } else if (timestamp === mark.t && !mark.ids.includes(id)) {
+      mark.ids.push(id);
+    } else {
+      return;
+    }
+    if (timestamp > this.global) this.global = timestamp;
+    this.dirty = true;
+  }
+
+  snapshot() {
+    return { global: this.global, chats: this.chats };
+  }
+
+  flush() {
+    if (!this.dirty) return;
+    try {
+      fs.mkdirSync(path.dirname(this.config.path), { recursive: true });
+      // Write then rename so a crash never leaves a torn file
+      const tmp = `${this.config.path}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.snapshot()));
+      fs.renameSync(tmp, this.config.path);
+      this.dirty = false;
+    } catch (error) {
+      console.log(`[HighWater] Failed to save: ${error.message}`);
+    }
+  }
+
+  // Private Methods
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.config.path)) return;
+      const data = JSON.parse(fs.readFileSync(this.config.path, 'utf8'));
+      this.chats = data.chats || {};
+      this.global = data.global || 0;
+      console.log(`[HighWater] Loaded marks for ${Object.keys(this.chats).length} chat(s)`);
+    } catch (error) {
+      console.log(`[HighWater] Failed to load: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HighWaterMarks;
@@ -4,24 +4,85 @@
  - Navigate to web.whatsapp.com
  - Inject monitoring scripts (bridge/store)
  - Handle QR and ready events
- - Poll event queue and publish to NATS
+ - Receive events from the page (push binding, polling fallback) and publish to NATS
+ - Normalize events to the versioned envelope (invalid ones are quarantined)
  - Download media using browser context
+ - Watchdog: relaunch the browser after crashes or hangs
+ - Optional historical backfill (--backfill[=chatId|all] --since= --until= --backfill-media)
 */
 
 const fs = require('fs');
 const path = require('path');
 const puppeteer = require('rebrowser-puppeteer-core');
 
-const config = require('../config/default.json');
+// WRADAR_CONFIG lets a second process (e.g. a media worker) run with its own config file
+const config = require(process.env.WRADAR_CONFIG ? path.resolve(process.env.WRADAR_CONFIG) : '../config/default.json');
 const Client = require('./client');
 const Session = require('./session');
+const SequenceTracker = require('./sequence');
 const EventServer = require('./server');
 const NatsClient = require('./nats/client');
 const NatsPublisher = require('./nats/publisher');
+const NatsOutbox = require('./nats/outbox');
+const WebhookDispatcher = require('./webhooks/dispatcher');
+const { EventNormalizer } = require('./events/normalizer');
+const Backfill = require('./backfill');
+const HighWaterMarks = require('./highwater');
+const BrowserSupervisor = require('./supervisor');
+const PageLifecycle = require('./lifecycle');
+const { EventRecorder } = require('./recorder');
 const { MediaManager } = require('./media/manager');
+const { MediaConsumer } = require('./nats/consumers/media');
 
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const INJECTED_DIR = path.join(__dirname, 'injected');
+// Overridable so the offline harness can serve a fake WhatsApp Web
+const WHATSAPP_URL = (config.whatsapp && config.whatsapp.url) || 'https://web.whatsapp.com/';
+
+// Run modes
+// - standalone: capture, publish and download media inline (default)
+// - capture: capture and publish only, media is left to a worker
+// - media-worker: consume events from JetStream and download media
+const MODES = ['standalone', 'capture', 'media-worker'];
+
+function resolveMode() {
+  const fromArg = process.argv.find(a => a.startsWith('--mode='));
+  const mode = (fromArg && fromArg.slice('--mode='.length)) || process.env.WRADAR_MODE || config.mode || 'standalone';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode '${mode}' (expected one of: ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+function argValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a === `--${name}` || a.startsWith(prefix));
+  if (!arg) return undefined;
+  return arg.startsWith(prefix) ? arg.slice(prefix.length) : true;
+}
+
+// Backfill request from the command line, null when not asked for
+function resolveBackfill() {
+  const target = argValue('backfill');
+  if (!target) return null;
+  return {
+    chatId: target === true ? 'all' : target,
+    since: argValue('since'),
+    until: argValue('until'),
+    media: argValue('backfill-media') === true || (config.backfill && config.backfill.media) || false
+  };
+}
+
+// Capture target from --record[=path] or recorder.enabled, null when not recording
+function resolveRecording() {
+  const target = argValue('record');
+  const recorderConfig = config.recorder || {};
+  if (!target && !recorderConfig.enabled) return null;
+  return {
+    ...recorderConfig,
+    path: path.resolve(PROJECT_ROOT, typeof target === 'string' ? target : (recorderConfig.path || './captures'))
+  };
+}
 
 async function ensureDirs() {
   const sessionDir = path.resolve(PROJECT_ROOT, config.session.path);
@@ -73,14 +134,42 @@ function getLaunchOptions() {
   return opts;
 }
 
-async function prepareInjection(page) {
+// Settings the injected scripts read from window[Symbol.for('__wb_config')]
+function getInjectedConfig(mode) {
+  const catchUp = config.catchUp || {};
+  return {
+    presence: config.presence || { enabled: false },
+    catchUp: {
+      enabled: catchUp.enabled !== false && mode !== 'media-worker',
+      binding: catchUp.binding || '__wb_hw'
+    }
+  };
+}
+
+// Store adapters: the registry first, then one file per module layout
+function readAdapterScripts() {
+  const dir = path.join(INJECTED_DIR, 'adapters');
+  const files = fs.readdirSync(dir)
+    .filter(f => f.endsWith('.js') && f !== 'registry.js')
+    .sort();
+  return ['registry.js', ...files].map(f => fs.readFileSync(path.join(dir, f), 'utf8'));
+}
+
+async function prepareInjection(page, mode) {
   const bridgePath = path.join(INJECTED_DIR, 'bridge.js');
   const storePath = path.join(INJECTED_DIR, 'store.js');
   
   const bridgeCode = fs.readFileSync(bridgePath, 'utf8');
+  const adapterCode = readAdapterScripts();
   const storeCode = fs.readFileSync(storePath, 'utf8');
   
+  await page.evaluateOnNewDocument((cfg) => {
+    window[Symbol.for('__wb_config')] = cfg;
+  }, getInjectedConfig(mode));
   await page.evaluateOnNewDocument(bridgeCode);
+  for (const code of adapterCode) {
+    await page.evaluateOnNewDocument(code);
+  }
   await page.evaluateOnNewDocument(storeCode);
 }
 
@@ -126,8 +215,8 @@ async function detectReady(page, client) {
     '[data-testid="chat"]',
     'div[role="grid"]'
   ];
-  // Poll until any selector appears or Store indicates ready
-  while (true) {
+  // Poll until any selector appears or Store indicates ready (gives up once the page is gone)
+  while (!page.isClosed()) {
     try {
       // Try a short wait for any selector
       const found = await Promise.race(
@@ -211,74 +300,143 @@ async function detectPhoneNumber(page, client) {
   }
 }
 
-async function startEventPolling(page, client) {
+function emitGaps(client, gaps) {
+  for (const gap of gaps) {
+    console.log(`[WRadar] Bridge gap (${gap.reason}): seq ${gap.fromSeq}-${gap.toSeq} (${gap.missed} missed)`);
+    client.emitEvent({ event: 'bridge_gap', timestamp: Date.now(), rawData: gap });
+  }
+}
+
+// Serializes delivery so pushed and polled batches reach the client in order,
+// checking bridge sequence numbers (and recording raw events) on the way.
+// Repeats of already delivered events (a retried push) are dropped.
+function createEventSink(client, tracker, recorder) {
+  let chain = Promise.resolve();
+  const sink = (events) => {
+    chain = chain.then(async () => {
+      for (const evt of events) {
+        try {
+          if (tracker.isDuplicate(evt)) {
+            tracker.track(evt); // counted as a duplicate
+            continue;
+          }
+          if (recorder) recorder.record(evt);
+          const gaps = tracker.track(evt);
+          await client.emitEvent(evt);
+          emitGaps(client, gaps);
+        } catch (error) {
+          console.log(`[WRadar] Failed to deliver ${(evt && evt.event) || 'unknown'} event (seq ${evt && evt.seq}): ${error.message}`);
+        }
+      }
+    }).catch((error) => {
+      console.log(`[WRadar] Event batch failed: ${error.message}`);
+    });
+    return chain;
+  };
+
+  // In-session gaps are only reported once the reorder grace period is over
+  const sweepInterval = setInterval(() => {
+    chain = chain.then(() => emitGaps(client, tracker.sweep())).catch((error) => {
+      console.log(`[WRadar] Bridge gap sweep failed: ${error.message}`);
+    });
+  }, 1000);
+  sink.stop = () => clearInterval(sweepInterval);
+  return sink;
+}
+
+async function startEventPolling(page, sink, tracker, intervalMs = 300) {
   async function drainOnce() {
     try {
-      const events = await page.evaluate(() => {
+      const result = await page.evaluate(() => {
         // Acceso via Symbol invisible
         const bridge = window[Symbol.for('__wb_bridge')];
-        if (!bridge || typeof bridge.dequeueAll !== 'function') return [];
-        return bridge.dequeueAll();
+        if (!bridge || typeof bridge.dequeueAll !== 'function') return null;
+        const stats = typeof bridge.getStats === 'function' ? bridge.getStats() : {};
+        return { events: bridge.dequeueAll(), pageSessionId: stats.pageSessionId, lastSeq: stats.lastSeq };
       });
-      if (Array.isArray(events) && events.length) {
-        for (const evt of events) {
-          await client.emitEvent(evt);
-        }
+      if (!result) return;
+      if (Array.isArray(result.events) && result.events.length) {
+        await sink(result.events);
       }
+      tracker.observe(result.pageSessionId, result.lastSeq);
     } catch (e) {
       // ignore polling errors
     }
   }
-  const interval = setInterval(drainOnce, 300);
+  const interval = setInterval(drainOnce, intervalMs);
   return () => clearInterval(interval);
 }
 
+async function enablePushInPage(page, bindingName, options) {
+  return page.evaluate((name, opts) => {
+    const bridge = window[Symbol.for('__wb_bridge')];
+    return !!(bridge && typeof bridge.enablePush === 'function' && bridge.enablePush(name, opts));
+  }, bindingName, options);
+}
+
+// Push mode: the bridge calls an exposed Node function with batches as events are enqueued.
+// The init script re-enables push on every new document (reloads).
+async function preparePushDelivery(page, sink, bridgeConfig) {
+  const bindingName = bridgeConfig.pushBinding || '__wb_push';
+  const options = {
+    batchSize: bridgeConfig.pushBatchSize || 50,
+    flushMs: bridgeConfig.pushFlushMs || 25
+  };
+  try {
+    await page.exposeFunction(bindingName, async (events) => {
+      if (Array.isArray(events) && events.length) {
+        await sink(events);
+      }
+      return true;
+    });
+    await page.evaluateOnNewDocument((name, opts) => {
+      const bridge = window[Symbol.for('__wb_bridge')];
+      if (bridge && typeof bridge.enablePush === 'function') bridge.enablePush(name, opts);
+    }, bindingName, options);
+    return { bindingName, options };
+  } catch (e) {
+    console.log(`[WRadar] Push delivery unavailable: ${e.message}`);
+    return null;
+  }
+}
+
 async function main() {
+  const mode = resolveMode();
+  console.log(`[WRadar] Mode: ${mode}`);
   await ensureDirs();
 
   // Initialize NATS (optional)
   let natsClient = null;
   let natsPublisher = null;
   let mediaManager = null;
+  let webhookDispatcher = null;
+  let mediaConsumer = null;
+  let backfill = null;
+  let highWater = null;
 
   // Start event server for local debugging
-  const eventServer = new EventServer(3001);
+  const eventServer = new EventServer((config.server && config.server.port) || 3001);
   eventServer.start();
 
-  console.log('[WRadar] Launching browser...');
-  const browser = await puppeteer.launch(getLaunchOptions());
-  const page = await browser.newPage();
-  page.on('console', (msg) => {
-    try { console.log('[WRadar:page]', msg.type().toUpperCase(), msg.text()); } catch (_) {}
-  });
-  page.on('domcontentloaded', () => console.log('[WRadar:page] DOMContentLoaded'));
-  page.on('load', () => console.log('[WRadar:page] load'));
-  page.on('framenavigated', (f) => { if (f.url()) console.log('[WRadar:page] navigated', f.url()); });
-  console.log('[WRadar] Browser launched');
-
-  // Browser config
-  if (config.browser.userAgent) {
-    await page.setUserAgent(config.browser.userAgent);
-  }
-  if (config.browser.viewport) {
-    await page.setViewport(config.browser.viewport);
+  // What was already published, so a restart only emits the messages missed meanwhile
+  const injectedConfig = getInjectedConfig(mode);
+  if (injectedConfig.catchUp.enabled) {
+    highWater = new HighWaterMarks({
+      path: path.resolve(PROJECT_ROOT, (config.catchUp && config.catchUp.path) || path.join(config.session.path, 'highwater.json'))
+    });
+    highWater.start();
   }
 
-  console.log('[WRadar] Preparing init scripts');
-  await prepareInjection(page);
-  console.log('[WRadar] Init scripts registered');
-
   const session = new Session({
     sessionPath: path.resolve(PROJECT_ROOT, config.session.path),
     fileName: config.session.filename,
+    url: WHATSAPP_URL
   });
 
-  await session.restore(page);
-
-  // Initialize media manager (requires browser page)
-  if (config.media.enabled) {
+  // Initialize media manager (the page is attached on every browser launch)
+  if (config.media.enabled && mode !== 'capture') {
     mediaManager = new MediaManager(
-      page, 
+      null, 
       path.resolve(PROJECT_ROOT, config.media.path),
       config.media
     );
@@ -288,14 +446,30 @@ async function main() {
   if (config.nats && config.nats.enabled) {
     try {
       natsClient = new NatsClient(config.nats);
-      const connected = await natsClient.connect();
+      const connected = await natsClient.start();
+
+      // Outbox keeps events on disk while NATS is unreachable
+      let outbox = null;
+      if (config.nats.outbox && config.nats.outbox.enabled && mode !== 'media-worker') {
+        outbox = new NatsOutbox({
+          ...config.nats.outbox,
+          path: path.resolve(PROJECT_ROOT, config.nats.outbox.path || path.join(config.session.path, 'outbox'))
+        });
+      }
       
-      if (connected) {
+      // Publisher is created even when offline: the client keeps reconnecting in background.
+      // A media worker only consumes, it never publishes.
+      if (mode !== 'media-worker') {
         natsPublisher = new NatsPublisher(natsClient, {
-          phoneNumber: config.whatsapp?.phoneNumber || ''
+          phoneNumber: config.whatsapp?.phoneNumber || '',
+          outbox
         });
-        
+      }
+
+      if (connected) {
         console.log('[WRadar] NATS initialized');
+      } else {
+        console.log(`[WRadar] NATS unavailable - reconnecting in background${outbox ? ', buffering events in outbox' : ''}`);
       }
     } catch (error) {
       console.log(`[WRadar] NATS initialization failed: ${error.message}`);
@@ -305,14 +479,101 @@ async function main() {
     console.log('[WRadar] NATS disabled in config');
   }
 
+  if (config.webhooks && config.webhooks.enabled && mode !== 'media-worker') {
+    webhookDispatcher = new WebhookDispatcher(config.webhooks, {
+      deadLetterDir: path.resolve(PROJECT_ROOT, config.webhooks.deadLetterPath || './sessions/webhooks-dead-letter')
+    });
+    console.log(`[WRadar] Webhooks initialized (${webhookDispatcher.config.targets.length} target(s))`);
+  }
+
+  const eventsConfig = config.events || {};
+  const normalizer = new EventNormalizer({
+    validate: eventsConfig.validate !== false,
+    accountId: config.whatsapp?.phoneNumber || null,
+    quarantinePath: path.resolve(PROJECT_ROOT, eventsConfig.quarantinePath || path.join(config.session.path, 'quarantine'))
+  });
+
+  // Inline downloads only in standalone mode; in split mode the worker's MediaConsumer downloads
   const client = new Client({
-    media: config.media,
+    media: mode === 'standalone' ? config.media : { ...config.media, enabled: false },
     storageDir: path.resolve(PROJECT_ROOT, config.media.path),
     eventServer: eventServer,
     natsPublisher: natsPublisher,
-    page: page
+    webhookDispatcher: webhookDispatcher,
+    normalizer: normalizer,
+    page: null
   });
 
+  // Event delivery from the page: push batches when possible, polling as fallback.
+  // The sink and tracker outlive browser restarts; a relaunch shows up as a new page session.
+  const bridgeConfig = config.bridge || {};
+  const tracker = new SequenceTracker({ graceMs: bridgeConfig.gapGraceMs || 5000 });
+  const recording = mode !== 'media-worker' ? resolveRecording() : null;
+  let recorder = null;
+  if (recording) {
+    recorder = new EventRecorder(recording);
+    recorder.start({ phoneNumber: config.whatsapp?.phoneNumber || null, mode });
+  }
+  const sink = createEventSink(client, tracker, recorder);
+
+  // Report broker health as events
+  if (natsClient) {
+    natsClient.on('state', (info) => {
+      client.emitEvent({ event: 'nats_state', timestamp: Date.now(), rawData: info });
+      if (natsPublisher && natsClient.isConnected()) {
+        natsPublisher.flushOutbox().catch(() => {});
+      }
+    });
+    client.emitEvent({ event: 'nats_state', timestamp: Date.now(), rawData: natsClient.getState() });
+  }
+
+  // Split mode: consume published events and download media once NATS and the Store are up
+  if (mode === 'media-worker') {
+    if (!natsClient || !mediaManager) {
+      console.log('[WRadar] ⚠️  media-worker mode needs NATS and media enabled - nothing to consume');
+    } else {
+      mediaConsumer = new MediaConsumer(natsClient, config.media, path.resolve(PROJECT_ROOT, config.media.path), mediaManager, {
+        phoneNumber: config.whatsapp?.phoneNumber || ''
+      });
+      let storeReady = false;
+      const startConsumer = () => {
+        if (storeReady && natsClient.isConnected()) mediaConsumer.start();
+      };
+      natsClient.on('state', startConsumer);
+      client.on('event', (evt) => {
+        if (evt && evt.type === 'store_ready') {
+          storeReady = true;
+          startConsumer();
+        }
+      });
+    }
+  }
+
+  if (highWater) {
+    client.on('event', (evt) => highWater.observe(evt));
+  }
+
+  // History backfill once the Store (and its backfill API) is available.
+  // Resumes from its checkpoint if a browser restart interrupted it.
+  const backfillRequest = resolveBackfill();
+  if (backfillRequest && mode === 'media-worker') {
+    console.log('[WRadar] ⚠️  Backfill is not available in media-worker mode');
+  } else if (backfillRequest) {
+    const backfillConfig = config.backfill || {};
+    backfill = new Backfill(null, client, {
+      ...backfillConfig,
+      media: backfillRequest.media,
+      checkpointPath: path.resolve(PROJECT_ROOT, backfillConfig.checkpointPath || path.join(config.session.path, 'backfill.json'))
+    });
+    let backfillDone = false;
+    client.on('event', (evt) => {
+      if (!evt || evt.type !== 'store_ready' || backfillDone || backfill.running) return;
+      backfill.run(backfillRequest)
+        .then(() => { backfillDone = !backfill.stopped; })
+        .catch(e => console.log(`[WRadar] Backfill interrupted: ${e.message}`));
+    });
+  }
+
   // Use pre-established phone number from config
   if (config.whatsapp?.phoneNumber) {
     console.log(`[WRadar] Using pre-established phone number: ${config.whatsapp.phoneNumber}`);
@@ -324,7 +585,10 @@ async function main() {
   }
 
   // Show configuration
-  if (natsPublisher) {
+  if (mediaConsumer) {
+    console.log('[WRadar] Event routing: NATS → MediaConsumer → MediaManager');
+    console.log(`[WRadar] NATS Filter: ${mediaConsumer.getFilterSubject()}`);
+  } else if (natsPublisher) {
     console.log('[WRadar] Event routing: WhatsApp → Scripts → Client → NATS');
     console.log(`[WRadar] NATS Subject: ${natsPublisher.subject}`);
     const stats = await natsPublisher.getStats();
@@ -336,7 +600,16 @@ async function main() {
     console.log('[WRadar] ⚠️  NATS disabled - events will not be published');
   }
 
-  if (mediaManager) {
+  if (webhookDispatcher) {
+    const targets = webhookDispatcher.config.targets;
+    console.log(targets.length
+      ? '[WRadar] Webhooks: ' + targets.map(t => t.url).join(', ')
+      : '[WRadar] ⚠️  Webhooks enabled but webhooks.targets is empty - nothing will be delivered');
+  }
+
+  if (mode === 'capture') {
+    console.log('[WRadar] Media downloads: Delegated to media worker');
+  } else if (mediaManager) {
     console.log('[WRadar] Media downloads: Browser-based with unified manager');
   } else {
     console.log('[WRadar] Media downloads: Disabled');
@@ -344,78 +617,186 @@ async function main() {
 
   client.on('event', (evt) => {
     try {
-      const name = evt && evt.event;
+      const name = evt && evt.type;
       let extra = '';
       if (name === 'qr') {
-        const len = (evt.rawData && evt.rawData.dataURL && evt.rawData.dataURL.length) || 0;
+        const len = (evt.payload.dataURL && evt.payload.dataURL.length) || 0;
         extra = ` dataURL=${len}b`;
       } else if (name === 'message_create' || name === 'message_received') {
-        const body = evt.rawData && evt.rawData.body;
+        const body = evt.payload.body;
         if (body) extra = ` body=${String(body).slice(0, 60)}`;
-      } else if (name === 'connection_state') {
-        const state = evt.rawData && evt.rawData.state;
+      } else if (name === 'connection_state' || name === 'nats_state') {
+        const state = evt.payload.state;
         extra = ` state=${state}`;
+      } else if (name === 'compat_report') {
+        const { build, ok, missing } = evt.payload;
+        extra = ` build=${build || 'unknown'} ok=${ok}${missing && missing.length ? ` missing=${missing.join(',')}` : ''}`;
       }
       console.log(`[WRadar:event] ${name}${extra}`);
     } catch (_) {}
   });
 
-  page.on('close', () => {
-    client.emitEvent({ event: 'connection_state', timestamp: Date.now(), rawData: { state: 'page_closed' } });
+  // Re-verifies the bridge and Store after in-page reloads (WhatsApp updates) and relaunches
+  const lifecycle = new PageLifecycle(client, {
+    ...(config.lifecycle || {}),
+    url: WHATSAPP_URL,
+    // The launch runs its own ready detector; reloads need a new one
+    onDocument: (page, { cause }) => { if (cause === 'navigation') detectReady(page, client); },
+    onStoreReady: (page) => detectPhoneNumber(page, client)
   });
+  let launches = 0;
 
-  page.on('error', (err) => {
-    client.emitEvent({ event: 'connection_state', timestamp: Date.now(), rawData: { state: 'page_error', message: String(err) } });
-  });
+  // Launches the browser and wires one page; called again by the supervisor after a crash or hang
+  const openPage = async () => {
+    console.log('[WRadar] Launching browser...');
+    const browser = await puppeteer.launch(getLaunchOptions());
+    try {
+      const page = await browser.newPage();
+      page.on('console', (msg) => {
+        try { console.log('[WRadar:page]', msg.type().toUpperCase(), msg.text()); } catch (_) {}
+      });
+      page.on('domcontentloaded', () => console.log('[WRadar:page] DOMContentLoaded'));
+      page.on('load', () => console.log('[WRadar:page] load'));
+      page.on('framenavigated', (f) => { if (f.url()) console.log('[WRadar:page] navigated', f.url()); });
+      console.log('[WRadar] Browser launched');
+
+      // Browser config
+      if (config.browser.userAgent) {
+        await page.setUserAgent(config.browser.userAgent);
+      }
+      if (config.browser.viewport) {
+        await page.setViewport(config.browser.viewport);
+      }
 
-  const targetUrl = 'https://web.whatsapp.com/';
-  if (!page.url().startsWith(targetUrl)) {
-    console.log('[WRadar] Navigating to WhatsApp Web');
-    await page.goto(targetUrl, { waitUntil: 'domcontentloaded' });
-  } else {
-    console.log('[WRadar] Already at WhatsApp Web');
-  }
+      if (highWater) {
+        try {
+          await page.exposeFunction(injectedConfig.catchUp.binding, () => highWater.snapshot());
+        } catch (e) {
+          console.log(`[WRadar] Catch-up unavailable: ${e.message}`);
+        }
+      }
 
-  // Verify bridge presence
-  try {
-    await page.waitForFunction(() => {
-      const bridge = window[Symbol.for('__wb_bridge')];
-      return bridge && !!bridge.dequeueAll;
-    }, { timeout: 5000 });
-    console.log('[WRadar] Bridge present: true');
-  } catch (e) {
-    console.log('[WRadar] Bridge present: false (will still attempt event polling)');
-  }
+      console.log('[WRadar] Preparing init scripts');
+      await prepareInjection(page, mode);
+      console.log('[WRadar] Init scripts registered');
 
-  // Start QR watcher and ready detector
-  const stopQr = await watchQr(page, client);
-  detectReady(page, client); // fire and forget
+      await session.restore(page);
+
+      client.setPage(page);
+      lifecycle.attach(page, launches++ ? 'relaunch' : 'launch');
+      if (mediaManager) mediaManager.setPage(page);
+      if (backfill) backfill.setPage(page);
+
+      const push = bridgeConfig.delivery === 'poll' ? null : await preparePushDelivery(page, sink, bridgeConfig);
+
+      page.on('close', () => {
+        client.emitEvent({ event: 'connection_state', timestamp: Date.now(), rawData: { state: 'page_closed' } });
+      });
+
+      page.on('error', (err) => {
+        client.emitEvent({ event: 'connection_state', timestamp: Date.now(), rawData: { state: 'page_error', message: String(err) } });
+      });
+
+      const targetUrl = WHATSAPP_URL;
+      if (!page.url().startsWith(targetUrl)) {
+        console.log('[WRadar] Navigating to WhatsApp Web');
+        await page.goto(targetUrl, { waitUntil: 'domcontentloaded' });
+      } else {
+        console.log('[WRadar] Already at WhatsApp Web');
+      }
+
+      // Verify bridge presence
+      try {
+        await page.waitForFunction(() => {
+          const bridge = window[Symbol.for('__wb_bridge')];
+          return bridge && !!bridge.dequeueAll;
+        }, { timeout: 5000 });
+        console.log('[WRadar] Bridge present: true');
+      } catch (e) {
+        console.log('[WRadar] Bridge present: false (will still attempt event polling)');
+      }
+      lifecycle.check(page);
 
-  // Start polling for in-page events
-  const stopPolling = await startEventPolling(page, client);
-  console.log('[WRadar] Started polling + QR watcher');
+      // Start QR watcher and ready detector
+      const stopQr = await watchQr(page, client);
+      detectReady(page, client); // fire and forget, ends with the page
 
-  // Persist session periodically and on exit
-  const persist = async () => {
-    try { await session.save(page); } catch (_) {}
+      // Start push delivery for the current document, polling for in-page events as fallback
+      let pushActive = false;
+      if (push) {
+        try { pushActive = await enablePushInPage(page, push.bindingName, push.options); } catch (_) {}
+      }
+      const pollIntervalMs = pushActive
+        ? (bridgeConfig.fallbackPollIntervalMs || 2000)
+        : (bridgeConfig.pollIntervalMs || 300);
+      const stopPolling = await startEventPolling(page, sink, tracker, pollIntervalMs);
+      console.log(`[WRadar] Started ${pushActive ? 'push delivery + fallback polling' : 'polling'} (${pollIntervalMs}ms) + QR watcher`);
+
+      // Persist session periodically
+      const persist = async () => {
+        try { await session.save(page); } catch (_) {}
+      };
+      const persistInterval = setInterval(persist, 5000);
+
+      // A hung page would block the save until the protocol timeout
+      const stop = async ({ reason } = {}) => {
+        stopQr();
+        stopPolling();
+        clearInterval(persistInterval);
+        if (!page.isClosed() && reason !== 'page_unresponsive') await persist();
+      };
+      return { browser, page, stop };
+    } catch (error) {
+      try { await browser.close(); } catch (_) {}
+      throw error;
+    }
   };
-  const persistInterval = setInterval(persist, 5000);
+
+  // Crash/hang watchdog: relaunches the browser and reports restarts as events
+  const supervisor = new BrowserSupervisor(config.watchdog || {}, { start: openPage });
+  supervisor.on('failure', (info) => {
+    client.emitEvent({ event: 'browser_failure', timestamp: Date.now(), rawData: info });
+  });
+  supervisor.on('restart', (info) => {
+    client.emitEvent({ event: 'browser_restart', timestamp: Date.now(), rawData: info });
+  });
+  supervisor.on('recovered', (info) => {
+    client.emitEvent({ event: 'browser_recovered', timestamp: Date.now(), rawData: info });
+  });
+  client.on('event', (evt) => {
+    if (!evt) return;
+    if (evt.type === 'qr') supervisor.notifyQr();
+    else if (evt.type === 'ready' || evt.type === 'store_ready') supervisor.notifyReady();
+  });
+
+  await supervisor.start();
 
   const cleanup = async () => {
     console.log('[WRadar] Shutting down...');
-    stopQr();
-    stopPolling();
-    clearInterval(persistInterval);
-    await persist();
+    if (backfill) backfill.stop();
+    await supervisor.stop();
+    sink.stop();
+    if (recorder) await recorder.stop();
+    if (highWater) highWater.stop();
+
+    // Dead-letter anything still waiting for delivery
+    if (webhookDispatcher) {
+      await webhookDispatcher.stop();
+    }
     
+    if (mediaConsumer) {
+      await mediaConsumer.stop();
+    }
+
     // Close NATS connection
+    if (natsPublisher) {
+      natsPublisher.stop();
+    }
     if (natsClient) {
       await natsClient.close();
     }
     
     eventServer.stop();
-    try { await page.close(); } catch (_) {}
-    try { await browser.close(); } catch (_) {}
     console.log('[WRadar] Shutdown complete');
   };
 
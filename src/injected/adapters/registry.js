@@ -0,0 +1,203 @@
+// Store Adapter Registry - runs in page context before store.js
+// - Adapters register { name, priority, source, probe(win), expose(win, ctx) }
+// - resolve() tries them by priority and returns the first complete Store
+// - fromModuleMap() builds a Store from a module-name map (one per WA build family)
+// - Adapters only touch the window they are given, so a fake window.require works in Node
+(function(root) {
+  const REGISTRY_KEY = Symbol.for('__wb_store_adapters');
+  if (root[REGISTRY_KEY]) return;
+
+  const adapters = [];
+  const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+  function register(adapter) {
+    const existing = adapters.findIndex(a => a.name === adapter.name);
+    if (existing !== -1) adapters.splice(existing, 1);
+    adapters.push(adapter);
+    adapters.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  function isComplete(store) {
+    return !!(store && store.Msg && store.Conn);
+  }
+
+  // Context handed to expose(): module lookups are recorded for compat_report
+  function createContext(win, log) {
+    const ctx = {
+      log,
+      modules: {},          // module name -> { resolved, error }
+      required: null,       // modules the Store cannot do without (set by fromModuleMap)
+      downloadStrategy: null,
+      require(name) {
+        try {
+          const module = win.require(name);
+          ctx.modules[name] = { resolved: !!module, error: module ? null : 'empty module' };
+          return module;
+        } catch (e) {
+          ctx.modules[name] = { resolved: false, error: e.message };
+          throw e;
+        }
+      },
+      optional(name) {
+        try {
+          return ctx.require(name);
+        } catch (e) {
+          log(name + ' not found: ' + e.message);
+          return null;
+        }
+      }
+    };
+    return ctx;
+  }
+
+  /**
+   * Tries every adapter whose probe passes; resolves to the first complete Store.
+   * Returns { store, adapter, source, required, modules, downloadStrategy, tried }.
+   */
+  function resolve(win, options = {}) {
+    const log = options.log || function() {};
+    const tried = [];
+    let last = null;
+
+    for (const adapter of adapters) {
+      let probed = false;
+      try {
+        probed = !!adapter.probe(win);
+      } catch (_) {}
+      if (!probed) {
+        tried.push({ name: adapter.name, probed: false, error: null });
+        continue;
+      }
+
+      const ctx = createContext(win, log);
+      let store = null;
+      let error = null;
+      try {
+        log('Trying Store adapter ' + adapter.name);
+        store = adapter.expose(win, ctx);
+      } catch (e) {
+        error = String(e && e.message || e);
+        log('Adapter ' + adapter.name + ' failed: ' + error);
+      }
+      tried.push({ name: adapter.name, probed: true, error: error || (isComplete(store) ? null : 'incomplete Store') });
+
+      last = {
+        store: null,
+        adapter: adapter.name,
+        source: adapter.source || adapter.name,
+        required: ctx.required || [],
+        modules: ctx.modules,
+        downloadStrategy: ctx.downloadStrategy
+      };
+      if (isComplete(store)) {
+        win.Store = store;
+        return { ...last, store, tried };
+      }
+    }
+
+    return { ...(last || { store: null, adapter: null, source: null, required: [], modules: {}, downloadStrategy: null }), tried };
+  }
+
+  function pick(module, path) {
+    return path ? path.split('.').reduce((obj, key) => obj && obj[key], module) : module;
+  }
+
+  /**
+   * Builds a Store like whatsapp-web.js does from a map:
+   * { collections, required: { Key: [module, path] }, optional: { Key: { module, path, check } }, downloadModules }
+   */
+  function fromModuleMap(win, map, ctx) {
+    const log = ctx.log;
+    ctx.required = [map.collections, ...Object.values(map.required || {}).map(r => [].concat(r)[0])];
+
+    const store = Object.assign({}, ctx.require(map.collections));
+    for (const [key, spec] of Object.entries(map.required || {})) {
+      const [name, path] = [].concat(spec);
+      store[key] = pick(ctx.require(name), path);
+    }
+
+    for (const [key, spec] of Object.entries(map.optional || {})) {
+      const module = ctx.optional(spec.module);
+      const value = module && pick(module, spec.path);
+      if (value && (!spec.check || value[spec.check])) {
+        store[key] = value;
+        log('Added ' + key);
+      }
+    }
+
+    exposeDownload(store, map.downloadModules || [], ctx);
+    return store;
+  }
+
+  // Picks how media gets downloaded: message method, a download module, or a per-message fallback
+  function exposeDownload(store, downloadModules, ctx) {
+    const log = ctx.log;
+
+    // Method 1: Try to get from message objects directly
+    try {
+      const messages = store.Msg && store.Msg.getModelsArray ? store.Msg.getModelsArray() : [];
+      const sampleMessage = messages.find(msg => msg.type && MEDIA_TYPES.includes(msg.type));
+      if (sampleMessage && typeof sampleMessage.downloadMedia === 'function') {
+        store.downloadMedia = async function(message, options = {}) {
+          if (message && message.downloadMedia) {
+            return await message.downloadMedia(options);
+          }
+          throw new Error('Message does not have downloadMedia method');
+        };
+        ctx.downloadStrategy = 'message_method';
+        log('Added downloadMedia using message method');
+        return;
+      }
+    } catch (e) {
+      log('Failed to get downloadMedia from message: ' + e.message);
+    }
+
+    // Method 2: Try to find download function in modules
+    for (const moduleName of downloadModules) {
+      const module = ctx.optional(moduleName);
+      if (module && module.downloadMedia) {
+        store.downloadMedia = module.downloadMedia;
+        ctx.downloadStrategy = 'module:' + moduleName;
+        log('Added downloadMedia from ' + moduleName);
+        return;
+      } else if (module && module.default && module.default.downloadMedia) {
+        store.downloadMedia = module.default.downloadMedia;
+        ctx.downloadStrategy = 'module:' + moduleName + '.default';
+        log('Added downloadMedia from ' + moduleName + '.default');
+        return;
+      }
+    }
+
+    // Method 3: Create a fallback download function
+    store.downloadMedia = async function(message, options = {}) {
+      try {
+        if (message && message.downloadMedia && typeof message.downloadMedia === 'function') {
+          log('Using message.downloadMedia()');
+          return await message.downloadMedia(options);
+        }
+        if (message && message.constructor && message.constructor.prototype && message.constructor.prototype.downloadMedia) {
+          log('Using message.constructor.prototype.downloadMedia()');
+          return await message.constructor.prototype.downloadMedia.call(message, options);
+        }
+        throw new Error('No download method available for this message');
+      } catch (error) {
+        log('Download error: ' + error.message);
+        throw error;
+      }
+    };
+    ctx.downloadStrategy = 'fallback';
+    log('Added fallback downloadMedia function');
+  }
+
+  const registry = {
+    register,
+    resolve,
+    fromModuleMap,
+    list: () => adapters.map(a => ({ name: a.name, priority: a.priority || 0, source: a.source || a.name })),
+    // Module-name maps of the registered build families, newest adapter first
+    moduleMaps: () => adapters.filter(a => a.modules).map(a => ({ name: a.name, modules: a.modules }))
+  };
+
+  Object.defineProperty(root, REGISTRY_KEY, { value: registry, enumerable: false });
+  if (typeof module === 'object' && module.exports) module.exports = registry;
+})(typeof window !== 'undefined' ? window : globalThis);
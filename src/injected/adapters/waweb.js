@@ -0,0 +1,43 @@
+// Store Adapter: WAWeb* module names (WhatsApp Web 2.3000.x builds)
+// - Resolves modules by name through the page's own window.require
+// - When WhatsApp renames a module, add an adapter with a new map instead of editing this one
+(function(root) {
+  const MODULES = {
+    collections: 'WAWebCollections',
+    required: {
+      Conn: ['WAWebConnModel', 'Conn'],
+      Cmd: ['WAWebCmd', 'Cmd'],
+      User: 'WAWebUserPrefsMeUser'
+    },
+    optional: {
+      WidFactory: { module: 'WAWebWidFactory', check: 'createWid' },
+      // Reactions are written through this table in recent builds
+      AddonReactionTable: { module: 'WAWebAddonReactionTableMode', path: 'reactionTableMode' },
+      // Loads older messages into chat.msgs (used by backfill)
+      ConversationMsgs: { module: 'WAWebChatLoadMessages', check: 'loadEarlierMsgs' },
+      MediaUtils: { module: 'WAWebMediaUtils' },
+      OpaqueData: { module: 'WAWebOpaqueData' }
+    },
+    downloadModules: ['WAWebDownloadManager', 'WAWebMediaDownload', 'WAWebMediaUtils', 'WAWebBlobUtils']
+  };
+
+  const adapter = {
+    name: 'waweb',
+    priority: 50,
+    source: 'require',
+    modules: MODULES,
+    probe: (win) => {
+      if (typeof win.require !== 'function') return false;
+      try {
+        return !!win.require(MODULES.collections);
+      } catch (_) {
+        return false;
+      }
+    },
+    expose: (win, ctx) => root[Symbol.for('__wb_store_adapters')].fromModuleMap(win, MODULES, ctx)
+  };
+
+  const registry = root[Symbol.for('__wb_store_adapters')];
+  if (registry) registry.register(adapter);
+  if (typeof module === 'object' && module.exports) module.exports = adapter;
+})(typeof window !== 'undefined' ? window : globalThis);
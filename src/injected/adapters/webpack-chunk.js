@@ -0,0 +1,43 @@
+// Store Adapter: webpack chunk
+// - Fallback when the page has no window.require: pushes a dummy chunk to get
+//   webpack's require, installs it as window.require and retries every module map
+(function(root) {
+  const CHUNK_KEY = 'webpackChunkwhatsapp_web_client';
+
+  const adapter = {
+    name: 'webpack-chunk',
+    priority: 10,
+    source: 'webpack_chunk',
+    probe: (win) => !!win[CHUNK_KEY] && typeof win.require !== 'function',
+    expose: (win, ctx) => {
+      let webpackRequire = null;
+      win[CHUNK_KEY].push([
+        ['__WRadar__'],
+        {},
+        (r) => { webpackRequire = r; }
+      ]);
+      if (!webpackRequire) return null;
+
+      ctx.log('Got webpack require via chunk');
+      win.require = webpackRequire;
+
+      const registry = root[Symbol.for('__wb_store_adapters')];
+      for (const { name, modules } of registry.moduleMaps()) {
+        try {
+          const store = registry.fromModuleMap(win, modules, ctx);
+          if (store && store.Msg && store.Conn) {
+            ctx.log('Exposed Store via webpack require with ' + name + ' modules');
+            return store;
+          }
+        } catch (e) {
+          ctx.log('Module map ' + name + ' failed: ' + e.message);
+        }
+      }
+      return null;
+    }
+  };
+
+  const registry = root[Symbol.for('__wb_store_adapters')];
+  if (registry) registry.register(adapter);
+  if (typeof module === 'object' && module.exports) module.exports = adapter;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,15 @@
+// Store Adapter: window.Store
+// - Some builds (or another script) already expose a complete window.Store
+(function(root) {
+  const adapter = {
+    name: 'window-store',
+    priority: 100,
+    source: 'window_store',
+    probe: (win) => !!(win.Store && win.Store.Msg && win.Store.Conn),
+    expose: (win) => win.Store
+  };
+
+  const registry = root[Symbol.for('__wb_store_adapters')];
+  if (registry) registry.register(adapter);
+  if (typeof module === 'object' && module.exports) module.exports = adapter;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,6 +1,10 @@
 // Bridge Communication - runs in page context
 // - Event queue using Symbol-based bridge for stealth
+// - Every event stamped with seq (monotonic) + pageSessionId so Node can detect gaps
 // - dequeueAll() used by Node polling loop
+// - Push delivery in batches to a Node binding (enablePush), polling stays as fallback
+//   but takes nothing while a push is in flight, so a failed batch is retried in order
+// - Per-event rate limits (setRateLimit) for noisy event types
 // - Notification mechanism to reduce polling latency
 (function() {
   // Prevenir doble inicialización
@@ -9,11 +13,83 @@
   
   const eventQueue = [];
   let notificationCallback = null;
+
+  // Sequencing: a new id per document, so a reload shows up as a new session
+  const pageSessionId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+  let lastSeq = 0;
+
+  // Rate limits: event name -> { max, windowMs, windowStart, count, dropped }
+  const rateLimits = new Map();
+
+  function allowedByRateLimit(evt) {
+    const limit = evt && rateLimits.get(evt.event);
+    if (!limit) return true;
+    const now = Date.now();
+    if (now - limit.windowStart >= limit.windowMs) {
+      limit.windowStart = now;
+      limit.count = 0;
+    }
+    if (limit.count >= limit.max) {
+      limit.dropped++;
+      return false;
+    }
+    limit.count++;
+    return true;
+  }
+
+  // Push state
+  let pushFn = null;
+  let pushOptions = { batchSize: 50, flushMs: 25, stallMs: 30000 };
+  let pushTimer = null;
+  let pushing = false;
+  let pushStartedAt = 0;
+  const pushStats = { batches: 0, events: 0, failures: 0 };
+
+  function schedulePush() {
+    if (!pushFn || pushTimer || pushing || !eventQueue.length) return;
+    const delay = eventQueue.length >= pushOptions.batchSize ? 0 : pushOptions.flushMs;
+    pushTimer = setTimeout(flushPush, delay);
+  }
+
+  async function flushPush() {
+    pushTimer = null;
+    if (!pushFn || pushing || !eventQueue.length) return;
+
+    pushing = true;
+    pushStartedAt = Date.now();
+    let failed = false;
+    const batch = eventQueue.splice(0, pushOptions.batchSize);
+    try {
+      await pushFn(batch);
+      pushStats.batches++;
+      pushStats.events += batch.length;
+    } catch (e) {
+      // Put the batch back so the next push or the polling fallback picks it up.
+      // Polling held off meanwhile, so these are still the oldest events; if Node
+      // got them before the call failed, it drops the repeats by seq.
+      eventQueue.unshift(...batch);
+      pushStats.failures++;
+      failed = true;
+    } finally {
+      pushing = false;
+      if (failed) {
+        // Back off instead of hammering a broken binding
+        if (!pushTimer) pushTimer = setTimeout(flushPush, 1000);
+      } else {
+        schedulePush();
+      }
+    }
+  }
   
   // Bridge invisible usando Symbol
   window[BRIDGE_KEY] = {
     enqueue(evt) {
       try {
+        if (!allowedByRateLimit(evt)) return;
+        if (evt && typeof evt === 'object') {
+          evt.seq = ++lastSeq;
+          evt.pageSessionId = pageSessionId;
+        }
         eventQueue.push(evt);
         if (notificationCallback && typeof notificationCallback === 'function') {
           try {
@@ -22,12 +98,15 @@
             // Ignore callback errors
           }
         }
+        schedulePush();
       } catch (e) {}
     },
     
     dequeueAll() {
       try {
         if (!eventQueue.length) return [];
+        // A pending push may still be put back in front; only a stalled one is overtaken
+        if (pushing && Date.now() - pushStartedAt < pushOptions.stallMs) return [];
         const copy = eventQueue.slice();
         eventQueue.length = 0;
         return copy;
@@ -37,12 +116,46 @@
     setNotificationCallback(callback) {
       notificationCallback = callback;
     },
+
+    // At most max events named eventName per windowMs; the rest are dropped
+    setRateLimit(eventName, max, windowMs) {
+      if (!max) {
+        rateLimits.delete(eventName);
+        return;
+      }
+      rateLimits.set(eventName, { max, windowMs: windowMs || 60000, windowStart: Date.now(), count: 0, dropped: 0 });
+    },
+
+    // bindingName is a function exposed by Node (page.exposeFunction)
+    enablePush(bindingName, options) {
+      const fn = window[bindingName];
+      if (typeof fn !== 'function') return false;
+      pushFn = fn;
+      pushOptions = Object.assign({}, pushOptions, options || {});
+      schedulePush();
+      return true;
+    },
+
+    disablePush() {
+      pushFn = null;
+      if (pushTimer) {
+        clearTimeout(pushTimer);
+        pushTimer = null;
+      }
+    },
     
     getStats() {
       return {
+        pageSessionId,
+        lastSeq,
         queueLength: eventQueue.length,
-        hasCallback: !!notificationCallback
+        hasCallback: !!notificationCallback,
+        rateLimited: Array.from(rateLimits.entries()).reduce((acc, [name, l]) => {
+          acc[name] = l.dropped;
+          return acc;
+        }, {}),
+        push: Object.assign({ enabled: !!pushFn }, pushStats)
       };
     }
   };
-})();
\ No newline at end of file
+})();
@@ -22,6 +22,238 @@
     }
   }
 
+  function widToString(wid) {
+    if (!wid) return null;
+    if (typeof wid === 'string') return wid;
+    return wid._serialized || (wid.user && wid.server ? wid.user + '@' + wid.server : null);
+  }
+
+  // Last captured content per message id, so revokes (and edits) can carry
+  // what the message looked like before it changed
+  const CONTENT_CACHE_MAX = 5000;
+  const contentCache = new Map();
+
+  function rememberContent(msg, version) {
+    try {
+      const id = msg && msg.id && msg.id._serialized;
+      if (!id || msg.type === 'revoked') return;
+      const entry = {
+        version: version || 1,
+        type: msg.type,
+        body: msg.body,
+        caption: msg.caption,
+        timestamp: msg.t,
+        mediaKey: msg.mediaKey,
+        mimetype: msg.mimetype,
+        filehash: msg.filehash,
+        directPath: msg.directPath,
+        size: msg.size
+      };
+      // Re-insert so the Map keeps least recently seen entries first
+      contentCache.delete(id);
+      contentCache.set(id, entry);
+      if (contentCache.size > CONTENT_CACHE_MAX) {
+        contentCache.delete(contentCache.keys().next().value);
+      }
+    } catch (e) {
+      log('Content cache error: ' + String(e));
+    }
+  }
+
+  function recallContent(id) {
+    return (id && contentCache.get(id)) || null;
+  }
+
+  function serializeRevoke(msg) {
+    const id = msg.id && msg.id._serialized;
+    const original = recallContent(id);
+    return {
+      id: msg.id,
+      chatId: widToString(msg.id && msg.id.remote) || widToString(msg.from),
+      author: widToString(msg.author) || widToString(msg.from),
+      revokedBy: widToString(msg.revokeSender) || null,
+      fromMe: !!(msg.id && msg.id.fromMe),
+      revokedAt: msg.revokeTimestamp ? msg.revokeTimestamp : Math.floor(Date.now() / 1000),
+      originalCaptured: !!original,
+      original: original
+    };
+  }
+
+  // field is 'body' or 'caption'; prevValue is what the change event reported
+  function serializeEdit(msg, field, prevValue) {
+    const id = msg.id && msg.id._serialized;
+    const cached = recallContent(id);
+    const previous = cached ? cached[field] : prevValue;
+    return {
+      id: msg.id,
+      chatId: widToString(msg.id && msg.id.remote) || widToString(msg.from),
+      author: widToString(msg.author) || widToString(msg.from),
+      fromMe: !!(msg.id && msg.id.fromMe),
+      field,
+      previousBody: previous !== undefined ? previous : null,
+      newBody: msg[field] !== undefined ? msg[field] : null,
+      previousCaptured: !!cached,
+      version: ((cached && cached.version) || 1) + 1,
+      editedAt: msg.latestEditSenderTimestampMs || Date.now(),
+      originalTimestamp: msg.t,
+      type: msg.type
+    };
+  }
+
+  // Typed payloads for structured message types (documented in EVENTS.md):
+  //   location:     { lat, lng, name, address, url, live, accuracy, speed, degrees }
+  //   vcards:       [{ displayName, name, org, phones: [{ number, waId, type }], emails, vcard }]
+  //   poll:         { question, options: [{ id, name }], selectableCount, allowMultiple }
+  //   pollVote:     { pollMsgId, voter, selectedOptionIds, selectedOptions, timestamp }
+  //   buttons:      { text, footer, items: [{ id, text }] }
+  //   buttonReply:  { id, text, index }
+  //   list:         { title, description, buttonText, footer, sections: [{ title, rows: [{ id, title, description }] }] }
+  //   listReply:    { id, title, description }
+
+  function parseVcard(vcard) {
+    const out = { name: null, org: null, phones: [], emails: [] };
+    if (!vcard) return out;
+    // Folded lines continue with a leading space
+    String(vcard).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach((line) => {
+      const sep = line.indexOf(':');
+      if (sep === -1) return;
+      const head = line.slice(0, sep);
+      const value = line.slice(sep + 1).trim();
+      const key = head.split(';')[0].toUpperCase().replace(/^ITEM\d+\./, '');
+      if (key === 'FN') out.name = value;
+      else if (key === 'N' && !out.name) {
+        // N:Family;Given;Middle;Prefix;Suffix
+        const [family, given, middle, prefix, suffix] = value.split(';');
+        out.name = [prefix, given, middle, family, suffix].filter(Boolean).join(' ') || null;
+      }
+      else if (key === 'ORG') out.org = value.replace(/;+$/, '');
+      else if (key === 'EMAIL') out.emails.push(value);
+      else if (key === 'TEL') {
+        const waid = /waid=(\d+)/i.exec(head);
+        const type = /type=([^;:]+)/i.exec(head);
+        out.phones.push({ number: value, waId: waid ? waid[1] : null, type: type ? type[1].toLowerCase() : null });
+      }
+    });
+    return out;
+  }
+
+  function pollOptionsOf(msg) {
+    return (msg && msg.pollOptions ? msg.pollOptions : []).map(o => ({ id: o.localId !== undefined ? o.localId : o.id, name: o.name }));
+  }
+
+  function serializePollVote(vote) {
+    const pollMsgId = keyToString(vote.parentMsgKey);
+    const poll = pollMsgId && findMsg(pollMsgId);
+    const options = pollOptionsOf(poll);
+    const selectedOptionIds = (vote.selectedOptionLocalIds || vote.selectedOptions || []).map(o => (typeof o === 'object' ? o.localId : o));
+    return {
+      pollMsgId,
+      voter: widToString(vote.sender) || widToString(vote.author) || null,
+      selectedOptionIds,
+      selectedOptions: selectedOptionIds.map(id => {
+        const opt = options.find(o => o.id === id);
+        return opt ? opt.name : null;
+      }),
+      timestamp: vote.senderTimestampMs ? Math.floor(vote.senderTimestampMs / 1000) : (vote.t || null)
+    };
+  }
+
+  function findMsg(id) {
+    try {
+      return window.Store && window.Store.Msg && window.Store.Msg.get ? window.Store.Msg.get(id) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function serializeStructured(msg, result) {
+    switch (msg.type) {
+      case 'location':
+      case 'live_location': {
+        const lines = String(msg.loc || '').split('\n');
+        result.location = {
+          lat: msg.lat,
+          lng: msg.lng,
+          name: lines[0] || null,
+          address: lines.slice(1).join(', ') || null,
+          url: msg.clientUrl || null,
+          live: msg.type === 'live_location',
+          accuracy: msg.accuracy || null,
+          speed: msg.speed || null,
+          degrees: msg.degrees || null
+        };
+        if (msg.comment || msg.caption) result.location.comment = msg.comment || msg.caption;
+        break;
+      }
+      case 'vcard':
+      case 'multi_vcard': {
+        const list = msg.type === 'vcard'
+          ? [{ displayName: msg.vcardFormattedName || null, vcard: msg.body }]
+          : (msg.vcardList || []);
+        result.vcards = list.map(item => Object.assign({ displayName: item.displayName || null, vcard: item.vcard }, parseVcard(item.vcard)));
+        break;
+      }
+      case 'poll_creation':
+        result.poll = {
+          question: msg.pollName || msg.body || null,
+          options: pollOptionsOf(msg),
+          selectableCount: msg.pollSelectableOptionsCount || 0,
+          allowMultiple: msg.pollSelectableOptionsCount !== 1
+        };
+        break;
+      case 'poll_update':
+        result.pollVote = serializePollVote(msg);
+        break;
+      case 'buttons_response':
+      case 'template_button_reply':
+        result.buttonReply = {
+          id: msg.selectedButtonId || msg.selectedId || null,
+          text: msg.body || null,
+          index: msg.selectedIndex !== undefined ? msg.selectedIndex : null
+        };
+        break;
+      case 'list':
+        if (msg.list) {
+          result.list = {
+            title: msg.list.title || null,
+            description: msg.list.description || null,
+            buttonText: msg.list.buttonText || null,
+            footer: msg.list.footerText || null,
+            sections: (msg.list.sections || []).map(sec => ({
+              title: sec.title || null,
+              rows: (sec.rows || []).map(row => ({ id: row.rowId || row.id, title: row.title || null, description: row.description || null }))
+            }))
+          };
+        }
+        break;
+      case 'list_response': {
+        const reply = msg.listResponse || {};
+        result.listReply = {
+          id: (reply.singleSelectReply && reply.singleSelectReply.selectedRowId) || reply.selectedRowId || null,
+          title: reply.title || msg.body || null,
+          description: reply.description || null
+        };
+        break;
+      }
+      default:
+        break;
+    }
+
+    // Button messages keep their text type; buttons ride along
+    const buttons = msg.dynamicReplyButtons || (msg.buttons && msg.buttons.getModelsArray ? msg.buttons.getModelsArray() : null);
+    if (Array.isArray(buttons) && buttons.length) {
+      result.buttons = {
+        text: msg.body || msg.caption || null,
+        footer: msg.footer || null,
+        items: buttons.map(b => ({
+          id: b.buttonId || b.id || null,
+          text: (b.buttonText && b.buttonText.displayText) || b.displayText || b.body || null
+        }))
+      };
+    }
+    return result;
+  }
+
   function serializeMsg(msg) {
     try {
       const result = {};
@@ -32,6 +264,7 @@
       if (msg.type) result.type = msg.type;
       if (msg.from) result.from = msg.from;
       if (msg.to) result.to = msg.to;
+      if (msg.author) result.author = msg.author;
       if (msg.t) result.timestamp = msg.t;
       if (msg.ack !== undefined) result.ack = msg.ack;
       if (msg.isNewMsg !== undefined) result.isNewMsg = msg.isNewMsg;
@@ -50,6 +283,13 @@
       if (msg.forwarded) result.forwarded = msg.forwarded;
       if (msg.quotedMsg) result.quotedMsg = { id: msg.quotedMsg.id, body: msg.quotedMsg.body };
       if (msg.mentionedJidList) result.mentionedJidList = msg.mentionedJidList;
+
+      // Typed payloads for location, vCard, poll, buttons and lists
+      try {
+        serializeStructured(msg, result);
+      } catch (e) {
+        log('Structured serialize error: ' + String(e));
+      }
       
       // Try to serialize full object as backup
       try {
@@ -69,200 +309,897 @@
     }
   }
 
-  function exposeStore() {
+  // What this WhatsApp Web build offered us; published as compat_report
+  let compat = {
+    adapter: null,
+    adapters: [],         // every adapter tried, in priority order
+    modules: {},          // module name -> { resolved, error }
+    required: [],
+    storeSource: null,    // window_store | require | webpack_chunk
+    downloadStrategy: null
+  };
+
+  // Store members the listeners rely on
+  const EXPECTED_METHODS = {
+    'Msg.on': (S) => S.Msg && S.Msg.on,
+    'Msg.getModelsArray': (S) => S.Msg && S.Msg.getModelsArray,
+    'Msg.get': (S) => S.Msg && S.Msg.get,
+    'Chat.on': (S) => S.Chat && S.Chat.on,
+    'Chat.get': (S) => S.Chat && S.Chat.get,
+    'Chat.getModelsArray': (S) => S.Chat && S.Chat.getModelsArray,
+    'Contact.on': (S) => S.Contact && S.Contact.on,
+    'Conn.on': (S) => S.Conn && S.Conn.on,
+    'Conn.me': (S) => S.Conn && S.Conn.me,
+    'GroupMetadata.get': (S) => S.GroupMetadata && S.GroupMetadata.get,
+    'Call.on': (S) => S.Call && S.Call.on,
+    'PollVote.on': (S) => S.PollVote && S.PollVote.on,
+    'Presence.find': (S) => S.Presence && S.Presence.find,
+    'ConversationMsgs.loadEarlierMsgs': (S) => S.ConversationMsgs && S.ConversationMsgs.loadEarlierMsgs,
+    'downloadMedia': (S) => S.downloadMedia
+  };
+
+  function waBuildVersion() {
     try {
-      log('Attempting to expose Store using window.require...');
-      
-      // Check if window.require is available
-      if (!window.require) {
-        log('window.require not available');
-        return false;
-      }
+      if (window.Debug && window.Debug.VERSION) return String(window.Debug.VERSION);
+    } catch (_) {}
+    return null;
+  }
 
-      // Build Store object like whatsapp-web.js does
-      window.Store = Object.assign({}, window.require('WAWebCollections'));
-      window.Store.Conn = window.require('WAWebConnModel').Conn;
-      window.Store.Cmd = window.require('WAWebCmd').Cmd;
-      window.Store.User = window.require('WAWebUserPrefsMeUser');
-      
-      // Add media download functions
+  // Short stable hash of the resolved layout, so builds sharing a version string still differ
+  function layoutFingerprint(parts) {
+    let hash = 5381;
+    const text = parts.join('|');
+    for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  function buildCompatReport(Store) {
+    const methods = {};
+    for (const [name, check] of Object.entries(EXPECTED_METHODS)) {
       try {
-        // Try to get download manager
-        const downloadManager = window.require('WAWebDownloadManager');
-        if (downloadManager && downloadManager.downloadMedia) {
-          window.Store.downloadMedia = downloadManager.downloadMedia;
-          log('Added downloadMedia from DownloadManager');
-        }
-      } catch (e) {
-        log('DownloadManager not found: ' + e.message);
+        methods[name] = !!(Store && check(Store));
+      } catch (_) {
+        methods[name] = false;
       }
-      
+    }
+    const resolved = Object.keys(compat.modules).filter(m => compat.modules[m].resolved).sort();
+    const missing = [
+      ...compat.required.filter(m => !(compat.modules[m] && compat.modules[m].resolved)),
+      ...Object.keys(methods).filter(m => !methods[m])
+    ];
+    return {
+      build: waBuildVersion(),
+      fingerprint: layoutFingerprint([...resolved, ...Object.keys(methods).filter(m => methods[m])]),
+      storeFound: !!Store,
+      adapter: compat.adapter,
+      adapters: compat.adapters,
+      storeSource: compat.storeSource,
+      downloadStrategy: compat.downloadStrategy,
+      modules: compat.modules,
+      methods,
+      missing,
+      ok: !!Store && missing.length === 0
+    };
+  }
+
+  // Module layouts live in adapters/ (registered before this script runs)
+  function findStore() {
+    const registry = window[Symbol.for('__wb_store_adapters')];
+    if (!registry) {
+      log('Store adapters not loaded');
+      return null;
+    }
+
+    const result = registry.resolve(window, { log });
+    compat = {
+      adapter: result.adapter,
+      adapters: result.tried,
+      modules: result.modules,
+      required: result.required,
+      storeSource: result.source,
+      downloadStrategy: result.downloadStrategy
+    };
+    if (result.store) {
+      log('Store exposed by adapter ' + result.adapter);
+    }
+    return result.store;
+  }
+
+  function keyToString(key) {
+    if (!key) return null;
+    if (typeof key === 'string') return key;
+    return key._serialized || null;
+  }
+
+  // Chat id out of a message key ("true_123@c.us_ABCDEF" or { remote })
+  function chatFromKey(key) {
+    if (!key) return null;
+    if (typeof key === 'object' && key.remote) return widToString(key.remote);
+    const parts = String(keyToString(key) || '').split('_');
+    return parts.length >= 3 ? parts[1] : null;
+  }
+
+  // Reaction events (add, change, remove)
+  function setupReactions(Store) {
+    // Last emoji per parent message + reactor, to tell add/change/remove apart
+    const reactionState = new Map();
+    const REACTION_STATE_MAX = 10000;
+
+    const handleReaction = (r, source) => {
       try {
-        // Try to get media utilities
-        const mediaUtils = window.require('WAWebMediaUtils');
-        if (mediaUtils) {
-          window.Store.MediaUtils = mediaUtils;
-          log('Added MediaUtils');
+        const parentId = keyToString(r.parentMsgKey);
+        const reactor = widToString(r.senderUserJid);
+        if (!parentId || !reactor) return;
+
+        const stateKey = parentId + '|' + reactor;
+        const previous = reactionState.has(stateKey) ? reactionState.get(stateKey) : null;
+        const emoji = r.removed ? '' : (r.reactionText || '');
+
+        let action;
+        if (!emoji) {
+          if (previous === '') return;
+          action = 'removed';
+        } else if (!previous) {
+          action = 'added';
+        } else if (previous !== emoji) {
+          action = 'changed';
+        } else {
+          return; // same reaction seen again (other source or re-sync)
+        }
+
+        reactionState.delete(stateKey);
+        reactionState.set(stateKey, emoji);
+        if (reactionState.size > REACTION_STATE_MAX) {
+          reactionState.delete(reactionState.keys().next().value);
         }
+
+        emit('message_reaction', {
+          parentMsgId: parentId,
+          chatId: chatFromKey(r.parentMsgKey),
+          reactor,
+          emoji: emoji || previous || null,
+          previousEmoji: previous || null,
+          action,
+          added: action !== 'removed',
+          reactionId: keyToString(r.msgKey),
+          timestamp: r.timestamp || Math.floor(Date.now() / 1000),
+          source
+        });
       } catch (e) {
-        log('MediaUtils not found: ' + e.message);
+        log('Reaction handling error: ' + String(e));
       }
-      
-      try {
-        // Try to get OpaqueData for media handling
-        const opaqueData = window.require('WAWebOpaqueData');
-        if (opaqueData) {
-          window.Store.OpaqueData = opaqueData;
-          log('Added OpaqueData');
+    };
+
+    // Flatten both collection shapes: one model per reaction, or one model per
+    // parent message with reactions grouped by emoji and their senders
+    const flattenReactions = (model) => {
+      if (!model) return [];
+      if (model.parentMsgKey) {
+        return [{
+          parentMsgKey: model.parentMsgKey,
+          senderUserJid: model.senderUserJid,
+          reactionText: model.reactionText,
+          timestamp: model.timestamp || model.t,
+          msgKey: model.msgKey || model.id
+        }];
+      }
+      const out = [];
+      const groups = model.reactions && model.reactions.getModelsArray ? model.reactions.getModelsArray() : [];
+      groups.forEach((group) => {
+        const senders = group.senders && group.senders.getModelsArray ? group.senders.getModelsArray() : [];
+        senders.forEach((sender) => out.push(...flattenReactions(sender)));
+      });
+      return out;
+    };
+
+    let attached = false;
+
+    if (Store.Reactions && Store.Reactions.on) {
+      Store.Reactions.on('add', (model) => flattenReactions(model).forEach(r => handleReaction(r, 'collection')));
+      Store.Reactions.on('change', (model) => flattenReactions(model).forEach(r => handleReaction(r, 'collection')));
+      Store.Reactions.on('remove', (model) => {
+        flattenReactions(model).forEach(r => handleReaction(Object.assign({}, r, { removed: true }), 'collection'));
+      });
+      attached = true;
+      log('Reaction listeners attached to Store.Reactions');
+    }
+
+    // Every reaction write goes through bulkUpsert; an empty text means removal
+    const table = Store.AddonReactionTable;
+    if (table && typeof table.bulkUpsert === 'function' && !table.__wradarHooked) {
+      const original = table.bulkUpsert;
+      table.bulkUpsert = function(...args) {
+        try {
+          (Array.isArray(args[0]) ? args[0] : []).forEach((reaction) => {
+            const sender = reaction.author || reaction.from;
+            handleReaction({
+              parentMsgKey: reaction.reactionParentKey,
+              senderUserJid: sender,
+              reactionText: reaction.reactionText,
+              timestamp: reaction.reactionTimestamp ? Math.floor(reaction.reactionTimestamp / 1000) : null,
+              msgKey: reaction.id
+            }, 'table');
+          });
+        } catch (e) {
+          log('Reaction hook error: ' + String(e));
         }
-      } catch (e) {
-        log('OpaqueData not found: ' + e.message);
+        return original.apply(this, args);
+      };
+      table.__wradarHooked = true;
+      attached = true;
+      log('Reaction hook attached to AddonReactionTable');
+    }
+
+    if (!attached) log('No reactions source found');
+    return attached;
+  }
+
+  // Group participant and metadata changes, from gp2 notification messages
+  const GROUP_PARTICIPANT_ACTIONS = {
+    add: 'add',
+    invite: 'join',
+    linked_group_join: 'join',
+    remove: 'remove',
+    leave: 'leave',
+    promote: 'promote',
+    demote: 'demote'
+  };
+  const GROUP_UPDATE_FIELDS = {
+    subject: 'subject',
+    description: 'description',
+    picture: 'icon',
+    announce: 'settings',
+    restrict: 'settings',
+    member_add_mode: 'settings',
+    membership_approval_mode: 'settings',
+    ephemeral: 'settings'
+  };
+
+  function setupGroups(Store) {
+    if (!Store.Msg || !Store.Msg.on) return false;
+
+    const seen = new Set();
+    const groupInfo = (groupId) => {
+      try {
+        const meta = Store.GroupMetadata && Store.GroupMetadata.get && Store.GroupMetadata.get(groupId);
+        const chat = Store.Chat && Store.Chat.get && Store.Chat.get(groupId);
+        return {
+          meta: meta || null,
+          groupName: (meta && meta.subject) || (chat && (chat.name || chat.formattedTitle)) || null
+        };
+      } catch (_) {
+        return { meta: null, groupName: null };
       }
-      
-      // Try to find and add download functions
-      let downloadFunctionAdded = false;
-      
-      // Method 1: Try to get from message objects directly
+    };
+
+    Store.Msg.on('add', (msg) => {
       try {
-        // Get a sample message to check for downloadMedia method
-        const messages = window.Store.Msg.getModelsArray();
-        if (messages && messages.length > 0) {
-          const sampleMessage = messages.find(msg => msg.type && ['image', 'video', 'audio', 'document', 'sticker'].includes(msg.type));
-          if (sampleMessage && sampleMessage.downloadMedia && typeof sampleMessage.downloadMedia === 'function') {
-            window.Store.downloadMedia = async function(message, options = {}) {
-              if (message && message.downloadMedia) {
-                return await message.downloadMedia(options);
-              }
-              throw new Error('Message does not have downloadMedia method');
+        if (!msg || msg.type !== 'gp2' || !msg.id || !msg.id._serialized) return;
+        if (seen.has(msg.id._serialized)) return;
+        seen.add(msg.id._serialized);
+        if (seen.size > 2000) seen.delete(seen.values().next().value);
+
+        const groupId = widToString(msg.id.remote) || widToString(msg.from);
+        const { meta, groupName } = groupInfo(groupId);
+        const base = {
+          groupId,
+          groupName,
+          actor: widToString(msg.author) || null,
+          subtype: msg.subtype,
+          messageId: msg.id._serialized,
+          timestamp: msg.t
+        };
+
+        const action = GROUP_PARTICIPANT_ACTIONS[msg.subtype];
+        if (action) {
+          const participants = (msg.recipients || []).map(widToString).filter(Boolean);
+          log('Group participants ' + action + ': ' + groupId);
+          emit('group_participants_changed', Object.assign(base, {
+            action,
+            // Someone leaving or joining by link is their own actor
+            participants: participants.length ? participants : (base.actor ? [base.actor] : []),
+            participantCount: meta && meta.participants && meta.participants.length
+          }));
+          return;
+        }
+
+        const change = GROUP_UPDATE_FIELDS[msg.subtype];
+        if (change) {
+          let value = null;
+          if (change === 'subject') value = msg.body || (meta && meta.subject) || null;
+          else if (change === 'description') value = msg.body || (meta && meta.desc) || null;
+          else if (change === 'settings') {
+            value = {
+              announce: meta ? !!meta.announce : undefined,
+              restrict: meta ? !!meta.restrict : undefined,
+              memberAddMode: meta ? meta.memberAddMode : undefined,
+              membershipApprovalMode: meta ? meta.membershipApprovalMode : undefined,
+              ephemeralDuration: meta ? meta.ephemeralDuration : undefined
             };
-            downloadFunctionAdded = true;
-            log('Added downloadMedia using message method');
           }
+          log('Group ' + change + ' changed: ' + groupId);
+          emit('group_updated', Object.assign(base, { change, value }));
         }
       } catch (e) {
-        log('Failed to get downloadMedia from message: ' + e.message);
+        log('Group event error: ' + String(e));
       }
-      
-      // Method 2: Try to find download function in modules
-      if (!downloadFunctionAdded) {
+    });
+
+    log('Group listeners attached (gp2 notifications)');
+    return true;
+  }
+
+  // Call events: incoming, missed, ended
+  function setupCalls(Store) {
+    const calls = new Map();     // callId -> { caller, startedAt, connectedAt, emittedEnd }
+    const recentEnds = new Map(); // caller -> endedAt, to skip the call_log message of a call we already reported
+
+    const callBase = (call) => ({
+      callId: call.id,
+      caller: widToString(call.peerJid) || widToString(call.from),
+      isVideo: !!call.isVideo,
+      isGroup: !!call.isGroup,
+      outgoing: !!call.outgoing,
+      participants: (call.participants && call.participants.map ? call.participants.map(widToString) : []).filter(Boolean),
+      offerTime: call.offerTime || null
+    });
+
+    const isConnectedState = (state) => /connect|active|accepted/i.test(String(state || '')) && !/disconnect/i.test(String(state || ''));
+
+    const finishCall = (call, source) => {
+      const tracked = calls.get(call.id);
+      if (!tracked || tracked.emittedEnd) return;
+      tracked.emittedEnd = true;
+
+      const endedAt = Date.now();
+      const connected = !!tracked.connectedAt;
+      const payload = Object.assign(callBase(call), {
+        endedAt,
+        duration: connected ? Math.round((endedAt - tracked.connectedAt) / 1000) : 0,
+        outcome: connected ? 'connected' : (call.outgoing ? 'unanswered' : 'missed'),
+        source
+      });
+      recentEnds.set(payload.caller, endedAt);
+      if (recentEnds.size > 200) {
+        for (const [caller, at] of recentEnds.entries()) {
+          if (endedAt - at > 120000) recentEnds.delete(caller);
+        }
+      }
+
+      if (!connected && !call.outgoing) {
+        log('Call missed: ' + payload.caller);
+        emit('call_missed', payload);
+      } else {
+        log('Call ended: ' + payload.caller);
+        emit('call_ended', payload);
+      }
+      setTimeout(() => calls.delete(call.id), 60000);
+    };
+
+    let attached = false;
+
+    if (Store.Call && Store.Call.on) {
+      Store.Call.on('add', (call) => {
         try {
-          // Try different module patterns for download functions
-          const downloadModules = [
-            'WAWebDownloadManager',
-            'WAWebMediaDownload', 
-            'WAWebMediaUtils',
-            'WAWebBlobUtils'
-          ];
-          
-          for (const moduleName of downloadModules) {
-            try {
-              const module = window.require(moduleName);
-              if (module && module.downloadMedia) {
-                window.Store.downloadMedia = module.downloadMedia;
-                downloadFunctionAdded = true;
-                log('Added downloadMedia from ' + moduleName);
-                break;
-              } else if (module && module.default && module.default.downloadMedia) {
-                window.Store.downloadMedia = module.default.downloadMedia;
-                downloadFunctionAdded = true;
-                log('Added downloadMedia from ' + moduleName + '.default');
-                break;
-              }
-            } catch (e) {
-              log('Module ' + moduleName + ' not found: ' + e.message);
-            }
+          if (!call || !call.id || calls.has(call.id)) return;
+          calls.set(call.id, { startedAt: Date.now(), connectedAt: null, emittedEnd: false });
+          if (!call.outgoing) {
+            log('Incoming call: ' + widToString(call.peerJid));
+            emit('call_incoming', Object.assign(callBase(call), { source: 'Call.add' }));
           }
         } catch (e) {
-          log('Failed to find download modules: ' + e.message);
+          log('Call add error: ' + String(e));
         }
-      }
-      
-      // Method 3: Create a fallback download function
-      if (!downloadFunctionAdded) {
-        window.Store.downloadMedia = async function(message, options = {}) {
-          try {
-            // Try message's own downloadMedia method first
-            if (message && message.downloadMedia && typeof message.downloadMedia === 'function') {
-              log('Using message.downloadMedia()');
-              return await message.downloadMedia(options);
-            }
-            
-            // Try to find downloadMedia in the message prototype
-            if (message && message.constructor && message.constructor.prototype && message.constructor.prototype.downloadMedia) {
-              log('Using message.constructor.prototype.downloadMedia()');
-              return await message.constructor.prototype.downloadMedia.call(message, options);
-            }
-            
-            throw new Error('No download method available for this message');
-          } catch (error) {
-            log('Download error: ' + error.message);
-            throw error;
+      });
+
+      Store.Call.on('change', (call) => {
+        try {
+          const tracked = call && calls.get(call.id);
+          if (!tracked) return;
+          const state = call.getState ? call.getState() : (call._state || call.state);
+          if (!tracked.connectedAt && isConnectedState(state)) {
+            tracked.connectedAt = Date.now();
           }
-        };
-        log('Added fallback downloadMedia function');
+          if (/end|reject|timeout|missed/i.test(String(state || ''))) {
+            finishCall(call, 'Call.change');
+          }
+        } catch (e) {
+          log('Call change error: ' + String(e));
+        }
+      });
+
+      Store.Call.on('remove', (call) => {
+        try {
+          if (call && call.id) finishCall(call, 'Call.remove');
+        } catch (e) {
+          log('Call remove error: ' + String(e));
+        }
+      });
+      attached = true;
+      log('Call listeners attached to Store.Call');
+    }
+
+    // call_log messages carry the final outcome/duration, also for calls that
+    // happened while the page wasn't watching
+    if (Store.Msg && Store.Msg.on) {
+      Store.Msg.on('add', (msg) => {
+        try {
+          if (!msg || msg.type !== 'call_log' || !msg.isNewMsg) return;
+          const caller = widToString(msg.id && msg.id.fromMe ? msg.to : msg.from);
+          const lastEnd = recentEnds.get(caller);
+          if (lastEnd && Date.now() - lastEnd < 120000) return;
+
+          const outcome = String(msg.callOutcome || msg.subtype || '').toLowerCase();
+          const missed = /miss|reject|unanswered/.test(outcome);
+          const payload = {
+            callId: (msg.callId || (msg.id && msg.id._serialized)),
+            caller,
+            isVideo: !!(msg.isVideoCall || /video/.test(outcome)),
+            isGroup: !!(msg.callParticipants && msg.callParticipants.length > 1),
+            outgoing: !!(msg.id && msg.id.fromMe),
+            participants: (msg.callParticipants || []).map(p => widToString(p && (p.participant || p))).filter(Boolean),
+            offerTime: msg.t || null,
+            endedAt: Date.now(),
+            duration: msg.callDuration != null ? msg.callDuration : null,
+            outcome: missed ? 'missed' : (outcome || 'ended'),
+            source: 'call_log'
+          };
+          emit(missed && !payload.outgoing ? 'call_missed' : 'call_ended', payload);
+        } catch (e) {
+          log('Call log error: ' + String(e));
+        }
+      });
+      attached = true;
+    }
+
+    return attached;
+  }
+
+  // Presence (online/last seen) and chat state (typing/recording) for the
+  // chats listed in config.presence.chats. Opt-in: it's noisy.
+  function setupPresence(Store, cfg) {
+    if (!cfg || !cfg.enabled) return false;
+    if (!Store.Presence || !Store.Presence.find) {
+      log('Presence collection not available');
+      return false;
+    }
+
+    const debounceMs = cfg.debounceMs || 1500;
+    const bridge = window[Symbol.for('__wb_bridge')];
+    if (bridge && bridge.setRateLimit) {
+      bridge.setRateLimit('presence_update', cfg.maxEventsPerMinute || 60, 60000);
+    }
+
+    // Trailing debounce per chat+participant; only emit when the state changed
+    const pending = new Map();
+    const lastEmitted = new Map();
+    const schedule = (key, state) => {
+      const entry = pending.get(key) || {};
+      if (entry.timer) clearTimeout(entry.timer);
+      entry.state = state;
+      entry.timer = setTimeout(() => {
+        pending.delete(key);
+        const signature = JSON.stringify([state.isOnline, state.chatState, state.lastSeen]);
+        if (lastEmitted.get(key) === signature) return;
+        lastEmitted.set(key, signature);
+        emit('presence_update', Object.assign({}, state, { timestamp: Date.now() }));
+      }, debounceMs);
+      pending.set(key, entry);
+    };
+
+    const chatStateName = (type) => {
+      const t = String(type || '').toLowerCase();
+      if (t === 'typing' || t === 'composing') return 'typing';
+      if (t.indexOf('recording') === 0) return 'recording';
+      if (t === 'paused' || t === 'available' || t === 'unavailable') return 'paused';
+      return t || null;
+    };
+
+    const watchChatState = (chatId, isGroup, presence, chatState, participant) => {
+      if (!chatState || !chatState.on) return;
+      const report = () => {
+        schedule(chatId + '|' + (participant || ''), {
+          chatId,
+          isGroup,
+          participant: participant || null,
+          isOnline: presence.isOnline === undefined ? null : !!presence.isOnline,
+          lastSeen: chatState.t || null,
+          chatState: chatStateName(chatState.type)
+        });
+      };
+      chatState.on('change:type', report);
+      chatState.on('change:t', report);
+    };
+
+    const subscribe = async (chatId) => {
+      try {
+        const wid = Store.WidFactory ? Store.WidFactory.createWid(chatId) : chatId;
+        const presence = await Store.Presence.find(wid);
+        if (!presence) return;
+        if (presence.subscribe) await presence.subscribe();
+        const isGroup = /@g\.us$/.test(chatId);
+
+        // 1:1 chats have one chatstate; groups have one per participant
+        if (presence.chatstate) watchChatState(chatId, isGroup, presence, presence.chatstate, null);
+        if (presence.chatstates && presence.chatstates.on) {
+          presence.chatstates.on('add', (cs) => watchChatState(chatId, isGroup, presence, cs, widToString(cs.id)));
+          (presence.chatstates.getModelsArray ? presence.chatstates.getModelsArray() : [])
+            .forEach(cs => watchChatState(chatId, isGroup, presence, cs, widToString(cs.id)));
+        }
+        if (presence.on) {
+          presence.on('change:isOnline', () => schedule(chatId + '|', {
+            chatId,
+            isGroup,
+            participant: null,
+            isOnline: !!presence.isOnline,
+            lastSeen: presence.chatstate ? presence.chatstate.t || null : null,
+            chatState: presence.chatstate ? chatStateName(presence.chatstate.type) : null
+          }));
+        }
+        log('Presence subscribed: ' + chatId);
+      } catch (e) {
+        log('Presence subscribe failed for ' + chatId + ': ' + String(e));
       }
-      
-      log('Store exposed successfully with media support');
-      return true;
-    } catch (e) {
-      log('Failed to expose Store: ' + String(e));
+    };
+
+    (cfg.chats || []).forEach(subscribe);
+    return true;
+  }
+
+  // Chat lifecycle: created, archived, pinned, muted, unread count, cleared
+  function setupChats(Store) {
+    if (!Store.Chat || !Store.Chat.on) {
+      log('No Store.Chat found');
       return false;
     }
+
+    // Chats streaming in and hydrating right after setup fire add/change events
+    // that are not user actions
+    const SYNC_GRACE_MS = 10000;
+    const setupAt = Date.now();
+    const syncing = () => Date.now() - setupAt < SYNC_GRACE_MS;
+
+    const muteExpiration = (chat) => {
+      if (chat.mute && chat.mute.expiration !== undefined) return chat.mute.expiration;
+      return chat.muteExpiration || 0;
+    };
+
+    const chatInfo = (chat) => {
+      const expiration = muteExpiration(chat);
+      return {
+        chatId: widToString(chat.id),
+        name: chat.name || chat.formattedTitle || (chat.contact && (chat.contact.name || chat.contact.pushname)) || null,
+        isGroup: !!(chat.isGroup || /@g\.us$/.test(widToString(chat.id) || '')),
+        archived: !!chat.archive,
+        pinned: !!chat.pin,
+        muted: expiration === -1 || expiration * 1000 > Date.now(),
+        muteExpiration: expiration || null,
+        unreadCount: chat.unreadCount || 0,
+        lastActivity: chat.t || null
+      };
+    };
+
+    // Per-chat watchers: clears on the message list, and mute state on the nested
+    // model newer builds use; attached to existing chats and to chats added later
+    const watched = new WeakSet();
+    const watchChat = (chat) => {
+      if (!chat || watched.has(chat)) return;
+      watched.add(chat);
+      if (chat.msgs && chat.msgs.on) {
+        chat.msgs.on('reset', () => {
+          if (chat.msgs.length === 0) {
+            emit('chat_cleared', chatInfo(chat));
+          }
+        });
+      }
+      if (chat.mute && chat.mute.on) {
+        chat.mute.on('change:expiration', () => {
+          if (!syncing()) emit('chat_muted', Object.assign(chatInfo(chat), { changed: 'mute.expiration' }));
+        });
+      }
+    };
+
+    const known = new Set();
+    (Store.Chat.getModelsArray ? Store.Chat.getModelsArray() : []).forEach((chat) => {
+      known.add(widToString(chat.id));
+      watchChat(chat);
+    });
+
+    Store.Chat.on('add', (chat) => {
+      try {
+        const chatId = widToString(chat && chat.id);
+        if (!chatId || known.has(chatId)) return;
+        known.add(chatId);
+        watchChat(chat);
+        // Chats streaming in during the initial sync aren't new
+        if (syncing()) return;
+        log('Chat created: ' + chatId);
+        emit('chat_created', chatInfo(chat));
+      } catch (e) {
+        log('Chat add error: ' + String(e));
+      }
+    });
+
+    const onChange = (event, attr) => {
+      Store.Chat.on('change:' + attr, (chat) => {
+        try {
+          if (syncing()) return;
+          emit(event, Object.assign(chatInfo(chat), { changed: attr }));
+        } catch (e) {
+          log('Chat ' + attr + ' error: ' + String(e));
+        }
+      });
+    };
+    onChange('chat_archived', 'archive');
+    onChange('chat_pinned', 'pin');
+    onChange('chat_muted', 'muteExpiration');
+    onChange('chat_unread_changed', 'unreadCount');
+
+    log('Chat listeners attached to Store.Chat');
+    return true;
   }
 
-  function findStore() {
-    log('Looking for Store...');
-    
-    // Method 1: Direct window.Store
-    if (window.Store && window.Store.Msg && window.Store.Conn) {
-      log('Found complete window.Store');
-      return window.Store;
-    }
-
-    // Method 2: Try to expose Store using window.require
-    if (exposeStore()) {
-      if (window.Store && window.Store.Msg && window.Store.Conn) {
-        log('Successfully exposed and found Store');
-        return window.Store;
+  // Contact/profile changes: push name, saved name, business profile, about, picture
+  function setupContacts(Store) {
+    const snapshots = new Map(); // contactId -> last reported field values
+    const pending = new Map();   // contactId -> { changes, timer }
+    let attached = false;
+
+    const contactInfo = (contactId) => {
+      const contact = Store.Contact && Store.Contact.get ? Store.Contact.get(contactId) : null;
+      const pic = Store.ProfilePicThumb && Store.ProfilePicThumb.get ? Store.ProfilePicThumb.get(contactId) : null;
+      const snap = snapshots.get(contactId) || {};
+      return {
+        contactId,
+        pushname: contact ? contact.pushname || null : (snap.pushname || null),
+        name: contact ? contact.name || null : (snap.name || null),
+        shortName: contact ? contact.shortName || null : null,
+        isMyContact: contact ? !!contact.isMyContact : null,
+        isBusiness: contact ? !!contact.isBusiness : null,
+        verifiedName: contact ? contact.verifiedName || null : null,
+        about: snap.about || null,
+        profilePicUrl: pic ? (pic.eurl || pic.imgFull || pic.img || null) : (snap.profilePic || null)
+      };
+    };
+
+    const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // Several fields often change together; report them as one event
+    const record = (model, field, value, previousFromModel) => {
+      try {
+        const contactId = widToString(model && model.id);
+        if (!contactId || contactId === 'status@broadcast') return;
+        const snap = snapshots.get(contactId) || {};
+        const previous = snap[field] !== undefined ? snap[field] : (previousFromModel !== undefined ? previousFromModel : null);
+        if (sameValue(previous, value)) return;
+        snap[field] = value;
+        snapshots.set(contactId, snap);
+
+        const entry = pending.get(contactId) || { changes: {}, timer: null };
+        if (!entry.changes[field]) entry.changes[field] = { field, previous, value };
+        else entry.changes[field].value = value;
+        if (entry.timer) clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+          pending.delete(contactId);
+          const changes = Object.values(entry.changes).filter(c => !sameValue(c.previous, c.value));
+          if (!changes.length) return;
+          log('Contact updated: ' + contactId + ' (' + changes.map(c => c.field).join(', ') + ')');
+          emit('contact_updated', Object.assign(contactInfo(contactId), { changes }));
+        }, 500);
+        pending.set(contactId, entry);
+      } catch (e) {
+        log('Contact change error: ' + String(e));
       }
+    };
+
+    const watch = (collection, attr, field, valueOf) => {
+      if (!collection || !collection.on) return;
+      collection.on('change:' + attr, (model) => {
+        const prev = model && typeof model.previous === 'function' ? model.previous(attr) : undefined;
+        record(model, field, valueOf(model), prev === undefined ? undefined : prev);
+      });
+      attached = true;
+    };
+
+    watch(Store.Contact, 'pushname', 'pushname', m => m.pushname || null);
+    watch(Store.Contact, 'name', 'name', m => m.name || null);
+    watch(Store.Contact, 'verifiedName', 'verifiedName', m => m.verifiedName || null);
+    watch(Store.Contact, 'isBusiness', 'isBusiness', m => !!m.isBusiness);
+    watch(Store.ProfilePicThumb, 'eurl', 'profilePic', m => m.eurl || m.imgFull || null);
+    watch(Store.ProfilePicThumb, 'tag', 'profilePic', m => m.eurl || m.imgFull || null);
+    // About text lives in the Status collection (not status stories)
+    watch(Store.Status, 'status', 'about', m => m.status || null);
+
+    if (Store.BusinessProfile && Store.BusinessProfile.on) {
+      const businessOf = (m) => ({
+        description: m.description || null,
+        category: m.categories ? m.categories.map(c => c.localized_display_name || c.id) : null,
+        email: m.email || null,
+        website: m.website || null,
+        address: m.address || null
+      });
+      // First load of a profile is a baseline, not a change
+      Store.BusinessProfile.on('add', (m) => {
+        const contactId = widToString(m && m.id);
+        if (!contactId) return;
+        const snap = snapshots.get(contactId) || {};
+        snap.businessProfile = businessOf(m);
+        snapshots.set(contactId, snap);
+      });
+      Store.BusinessProfile.on('change', m => record(m, 'businessProfile', businessOf(m)));
+      attached = true;
     }
 
-    // Method 3: Try webpack chunk approach as fallback
-    try {
-      if (window.webpackChunkwhatsapp_web_client) {
-        const chunk = window.webpackChunkwhatsapp_web_client;
-        
-        // Push a dummy chunk to get access to webpack require
-        let webpackRequire;
-        chunk.push([
-          ['__WRadar__'],
-          {},
-          (r) => { webpackRequire = r; }
-        ]);
-        
-        if (webpackRequire) {
-          log('Got webpack require via chunk');
-          // Set window.require if not available
-          if (!window.require) {
-            window.require = webpackRequire;
-            log('Set window.require from webpack');
-            
-            // Try to expose Store again
-            if (exposeStore()) {
-              if (window.Store && window.Store.Msg && window.Store.Conn) {
-                log('Successfully exposed Store via webpack require');
-                return window.Store;
-              }
-            }
-          }
+    if (attached) log('Contact listeners attached');
+    return attached;
+  }
+
+  // Status (stories) posted by contacts
+  const STATUS_TTL_SECONDS = 24 * 60 * 60;
+
+  function setupStatus(Store) {
+    if (!Store.Msg || !Store.Msg.on) return false;
+    const seen = new Set();
+
+    Store.Msg.on('add', (msg) => {
+      try {
+        if (!msg || !msg.id || !msg.id._serialized) return;
+        const remote = widToString(msg.id.remote) || widToString(msg.from);
+        if (remote !== 'status@broadcast' || msg.type === 'revoked' || msg.type === 'protocol') return;
+        if (seen.has(msg.id._serialized)) return;
+        seen.add(msg.id._serialized);
+        if (seen.size > 2000) seen.delete(seen.values().next().value);
+
+        const postedAt = msg.t || Math.floor(Date.now() / 1000);
+        const isText = msg.type === 'chat';
+        const payload = {
+          id: msg.id,
+          // Same shape as message events so media enrichment picks it up
+          from: msg.from,
+          type: msg.type,
+          poster: widToString(msg.author) || widToString(msg.participant) || null,
+          fromMe: !!msg.id.fromMe,
+          caption: isText ? (msg.body || null) : (msg.caption || null),
+          mediaType: isText ? 'text' : msg.type,
+          postedAt,
+          expiresAt: postedAt + STATUS_TTL_SECONDS,
+          timestamp: postedAt
+        };
+        if (isText) {
+          payload.backgroundColor = msg.backgroundColor || null;
+          payload.textColor = msg.textColor || null;
+          payload.font = msg.font !== undefined ? msg.font : null;
+        } else {
+          payload.mimetype = msg.mimetype;
+          payload.mediaKey = msg.mediaKey;
+          payload.mediaKeyTimestamp = msg.mediaKeyTimestamp;
+          payload.filehash = msg.filehash;
+          payload.encFilehash = msg.encFilehash;
+          payload.directPath = msg.directPath;
+          payload.clientUrl = msg.clientUrl;
+          payload.size = msg.size;
+          payload.duration = msg.duration;
+        }
+
+        log('Status posted by ' + payload.poster + ' (' + payload.mediaType + ')');
+        emit('status_posted', payload);
+      } catch (e) {
+        log('Status event error: ' + String(e));
+      }
+    });
+
+    log('Status listener attached');
+    return true;
+  }
+
+  // Poll votes live in their own collection, not in Store.Msg
+  function setupPollVotes(Store) {
+    if (!Store.PollVote || !Store.PollVote.on) return false;
+    const lastVote = new Map();
+
+    const handleVote = (vote) => {
+      try {
+        if (!vote || !vote.parentMsgKey) return;
+        const payload = serializePollVote(vote);
+        const stateKey = payload.pollMsgId + '|' + payload.voter;
+        const signature = payload.selectedOptionIds.join(',');
+        if (lastVote.get(stateKey) === signature) return;
+        lastVote.delete(stateKey);
+        lastVote.set(stateKey, signature);
+        if (lastVote.size > 5000) lastVote.delete(lastVote.keys().next().value);
+
+        payload.chatId = chatFromKey(vote.parentMsgKey);
+        payload.id = keyToString(vote.msgKey) || keyToString(vote.id);
+        emit('poll_vote', { pollVote: payload, chatId: payload.chatId, timestamp: payload.timestamp });
+      } catch (e) {
+        log('Poll vote error: ' + String(e));
+      }
+    };
+
+    Store.PollVote.on('add', handleVote);
+    Store.PollVote.on('change', handleVote);
+    log('Poll vote listener attached');
+    return true;
+  }
+
+  // On-demand history for backfill, driven from Node through page.evaluate
+  function setupBackfill(Store) {
+    const findChat = (chatId) => {
+      if (!Store.Chat || !Store.Chat.get) return null;
+      return Store.Chat.get(chatId) || (Store.WidFactory ? Store.Chat.get(Store.WidFactory.createWid(chatId)) : null);
+    };
+
+    window[Symbol.for('__wb_backfill')] = {
+      listChats() {
+        return (Store.Chat && Store.Chat.getModelsArray ? Store.Chat.getModelsArray() : [])
+          .map(chat => ({ chatId: widToString(chat.id), name: chat.name || chat.formattedTitle || null, lastActivity: chat.t || 0 }))
+          .filter(c => c.chatId && c.chatId !== 'status@broadcast')
+          .sort((a, b) => b.lastActivity - a.lastActivity);
+      },
+
+      // Messages in [since, until] (seconds) older than the cursor, newest first.
+      // cursor = { t, ids }: ids already handled at timestamp t
+      async fetchPage(chatId, since, until, cursor, limit) {
+        const chat = findChat(chatId);
+        if (!chat || !chat.msgs) return { error: 'chat_not_found', messages: [], done: true };
+
+        const isPending = (m) => {
+          if (!m || !m.t || !m.id || !m.id._serialized || m.t < since || m.t > until) return false;
+          if (!cursor) return true;
+          return m.t < cursor.t || (m.t === cursor.t && cursor.ids.indexOf(m.id._serialized) === -1);
+        };
+        const oldestLoaded = () => {
+          const models = chat.msgs.getModelsArray();
+          return models.length ? models[0].t : 0;
+        };
+
+        let exhausted = false;
+        while (chat.msgs.getModelsArray().filter(isPending).length < limit && oldestLoaded() >= since) {
+          if (!Store.ConversationMsgs) { exhausted = true; break; }
+          const loaded = await Store.ConversationMsgs.loadEarlierMsgs(chat);
+          if (!loaded || !loaded.length) { exhausted = true; break; }
         }
+
+        const pending = chat.msgs.getModelsArray().filter(isPending).sort((a, b) => b.t - a.t);
+        const page = pending.slice(0, limit);
+        const reachedSince = oldestLoaded() < since || exhausted;
+        return {
+          messages: page.map(m => {
+            const result = serializeMsg(m);
+            delete result.__raw; // dropped by the normalizer anyway, keep the transfer small
+            return result;
+          }),
+          done: reachedSince && pending.length <= limit
+        };
       }
+    };
+    log('Backfill API ready');
+    return true;
+  }
+
+  // Startup catch-up: per-chat high-water marks of what Node already published
+  async function loadHighWater(cfg) {
+    if (!cfg || !cfg.enabled || !cfg.binding || typeof window[cfg.binding] !== 'function') return null;
+    try {
+      const marks = await window[cfg.binding]();
+      if (!marks || (!marks.global && !Object.keys(marks.chats || {}).length)) return null;
+      log('High-water marks loaded for ' + Object.keys(marks.chats || {}).length + ' chat(s)');
+      return marks;
     } catch (e) {
-      log('Webpack chunk approach failed: ' + String(e));
+      log('High-water load error: ' + String(e));
+      return null;
     }
+  }
 
-    log('No Store found');
-    return null;
+  function isBelowHighWater(marks, msg) {
+    if (!marks || !msg || !msg.t || !msg.id) return false;
+    const chatId = widToString(msg.id.remote) || widToString(msg.from);
+    const mark = marks.chats && marks.chats[chatId];
+    if (mark) {
+      return msg.t < mark.t || (msg.t === mark.t && mark.ids.indexOf(msg.id._serialized) !== -1);
+    }
+    // Unknown chat: anything older than the last message seen anywhere is history
+    return !!marks.global && msg.t < marks.global;
   }
 
   async function waitForStore() {
@@ -290,11 +1227,17 @@
         windowRequire: !!window.require,
         timestamp: Date.now()
       });
+      emit('compat_report', buildCompatReport(null));
       return;
     }
 
     log('Store available, setting up listeners...');
 
+    const cfg = window[Symbol.for('__wb_config')] || {};
+    const highWater = await loadHighWater(cfg.catchUp);
+    const bootSec = Math.floor(Date.now() / 1000);
+    let runCatchUp = null;
+
     // Connection state monitor
     try {
       if (Store.Conn) {
@@ -360,15 +1303,88 @@
           return true;
         };
         
+        const handleRevoke = (msg) => {
+          if (!msg || msg.type !== 'revoked' || !shouldProcessMessage(msg, 'revoked')) return;
+          log('Message revoked: ' + msg.id._serialized);
+          emit('message_revoked', serializeRevoke(msg));
+          contentCache.delete(msg.id._serialized);
+        };
+
+        const handleEdit = (msg, field, prevValue) => {
+          if (!msg || !msg.id || !msg.id._serialized || msg.type === 'revoked') return;
+          const cached = recallContent(msg.id._serialized);
+          const previous = cached ? cached[field] : prevValue;
+          const current = msg[field];
+
+          // Body also changes while a message is first decrypted/loaded; only
+          // count it as an edit when WhatsApp marks it or we saw other content
+          const markedEdit = !!(msg.latestEditMsgKey || msg.latestEditSenderTimestampMs);
+          if (current === previous) return;
+          if (!markedEdit && (previous === undefined || previous === null || previous === '')) return;
+
+          const editKey = 'edited_' + (msg.latestEditSenderTimestampMs || String(current).length + ':' + String(current).slice(0, 32));
+          if (!shouldProcessMessage(msg, editKey)) return;
+
+          log('Message edited: ' + msg.id._serialized);
+          const payload = serializeEdit(msg, field, prevValue);
+          emit('message_edited', payload);
+          rememberContent(msg, payload.version);
+        };
+
         if (Store.Msg.on) {
+          const emitCreate = (msg) => {
+            rememberContent(msg);
+            const payload = serializeMsg(msg);
+            // Sent before this session started: synced while we were offline
+            if (highWater && msg.t < bootSec) payload.catchUp = true;
+            emit('message_create', payload);
+          };
+
           Store.Msg.on('add', (msg) => {
+            // Bulk sync after a restart re-adds history we already published
+            if (highWater && isBelowHighWater(highWater, msg)) return;
             if (shouldProcessMessage(msg, 'create')) {
               log('Message added: ' + (msg.body || msg.type || 'unknown'));
-              emit('message_create', serializeMsg(msg));
+              emitCreate(msg);
             }
           });
+
+          // Messages already loaded before the listener was attached
+          runCatchUp = () => {
+            const missed = [];
+            (Store.Chat && Store.Chat.getModelsArray ? Store.Chat.getModelsArray() : []).forEach((chat) => {
+              (chat.msgs && chat.msgs.getModelsArray ? chat.msgs.getModelsArray() : []).forEach((msg) => {
+                if (msg && msg.t && msg.t < bootSec && !isBelowHighWater(highWater, msg)) missed.push(msg);
+              });
+            });
+            missed.sort((a, b) => a.t - b.t);
+
+            let emitted = 0;
+            missed.forEach((msg) => {
+              if (!shouldProcessMessage(msg, 'create')) return;
+              emitCreate(msg);
+              emitted++;
+            });
+            log('Catch-up emitted ' + emitted + ' missed message(s)');
+            emit('catch_up_completed', { emitted, since: highWater.global || null, chats: Object.keys(highWater.chats || {}).length });
+          };
+
+          // "Deleted for everyone": the model's type flips to 'revoked'
+          Store.Msg.on('change:type', handleRevoke);
+
+          // Edits replace body (text) or caption (media) on the same model
+          ['body', 'caption'].forEach((field) => {
+            Store.Msg.on('change:' + field, (msg, newValue, prevValue) => {
+              handleEdit(msg, field, prevValue);
+            });
+          });
           
           Store.Msg.on('change', (msg) => {
+            if (msg && msg.type === 'revoked') {
+              handleRevoke(msg);
+              return;
+            }
+            
             // Only process ack changes, ignore other changes
             if (msg.ack !== undefined) {
               if (msg.ack === 1 && shouldProcessMessage(msg, 'received')) {
@@ -397,14 +1413,84 @@
       log('Message setup error: ' + String(e));
     }
 
+    try {
+      setupReactions(Store);
+    } catch (e) {
+      log('Reaction setup error: ' + String(e));
+    }
+
+    try {
+      setupGroups(Store);
+    } catch (e) {
+      log('Group setup error: ' + String(e));
+    }
+
+    try {
+      setupCalls(Store);
+    } catch (e) {
+      log('Call setup error: ' + String(e));
+    }
+
+    try {
+      setupChats(Store);
+    } catch (e) {
+      log('Chat setup error: ' + String(e));
+    }
+
+    try {
+      setupContacts(Store);
+    } catch (e) {
+      log('Contact setup error: ' + String(e));
+    }
+
+    try {
+      setupStatus(Store);
+    } catch (e) {
+      log('Status setup error: ' + String(e));
+    }
+
+    try {
+      setupPollVotes(Store);
+    } catch (e) {
+      log('Poll vote setup error: ' + String(e));
+    }
+
+    try {
+      setupBackfill(Store);
+    } catch (e) {
+      log('Backfill setup error: ' + String(e));
+    }
+
+    try {
+      setupPresence(Store, cfg.presence);
+    } catch (e) {
+      log('Presence setup error: ' + String(e));
+    }
+
     log('Store setup complete');
     emit('store_ready', { 
       hasMsg: !!Store.Msg, 
       hasConn: !!Store.Conn,
+      hasReactions: !!(Store.Reactions || Store.AddonReactionTable),
+      hasCall: !!Store.Call,
       msgMethods: Store.Msg ? Object.getOwnPropertyNames(Store.Msg) : [],
       connMethods: Store.Conn ? Object.getOwnPropertyNames(Store.Conn) : [],
       connState: Store.Conn && Store.Conn.state
     });
+
+    try {
+      emit('compat_report', buildCompatReport(Store));
+    } catch (e) {
+      log('Compat report error: ' + String(e));
+    }
+
+    if (highWater && runCatchUp) {
+      try {
+        runCatchUp();
+      } catch (e) {
+        log('Catch-up error: ' + String(e));
+      }
+    }
   }
 
   // Start setup with delay to ensure webpack is fully loaded
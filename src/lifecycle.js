@@ -0,0 +1,215 @@
+/*
+ Page Lifecycle Tracker
+ - Follows main-frame navigations and the bridge's pageSessionId
+ - A new page session (WhatsApp update, in-page reload, browser relaunch)
+   re-verifies the bridge and waits for that session's store_ready
+ - Re-runs the per-document hooks (ready and phone detection)
+ - Emits page_reloaded with the WhatsApp Web build and Store changes
+*/
+
+const STORE_FLAGS = ['hasMsg', 'hasConn', 'hasReactions', 'hasCall'];
+const SUPERSEDED = Symbol('superseded');
+
+class PageLifecycle {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = {
+      url: 'https://web.whatsapp.com/',
+      bridgeTimeoutMs: 15000,
+      storeReadyTimeoutMs: 90000,
+      onDocument: null,    // (page, { cause }) => void, every new page session
+      onStoreReady: null,  // (page, { cause }) => void, once the session's Store is up
+      ...options
+    };
+
+    this.page = null;
+    this.session = null;   // current pageSessionId
+    this.build = null;     // WhatsApp Web build of the current session
+    this.store = null;     // store_ready payload of the current session
+    this.checking = null;
+    this.recheck = false;
+    this.waitingFor = null; // page session whose store_ready the running check waits for
+    this.reloads = 0;
+
+    // store_ready per page session; it may arrive before we start waiting for it
+    this.storeReady = new Map();
+    this.waiters = new Map();
+    client.on('event', (evt) => {
+      if (!evt || evt.type !== 'store_ready' || !evt.source || !evt.source.pageSessionId) return;
+      const id = evt.source.pageSessionId;
+      this.storeReady.set(id, evt.payload);
+      if (this.storeReady.size > 10) this.storeReady.delete(this.storeReady.keys().next().value);
+      const resolve = this.waiters.get(id);
+      if (resolve) resolve(evt.payload);
+    });
+  }
+
+  /**
+   * Starts tracking a page; cause is reported in page_reloaded for the first
+   * session seen on it ('launch' or 'relaunch').
+   */
+  attach(page, cause = 'launch') {
+    this.page = page;
+    this.cause = cause;
+    this.checking = null; // a check still running belongs to the old page
+    this.recheck = false;
+    this.waitingFor = null;
+    page.on('framenavigated', (frame) => {
+      if (frame !== page.mainFrame() || !frame.url().startsWith(this.options.url)) return;
+      this.check(page, 'navigation');
+    });
+  }
+
+  /**
+   * Looks for a new page session; concurrent calls collapse into one re-check.
+   */
+  check(page = this.page, cause = 'navigation') {
+    if (this.checking) {
+      this.recheck = true;
+      if (this.waitingFor) this._supersede(page, this.waitingFor);
+      return this.checking;
+    }
+    const checking = this._verify(page, cause)
+      .catch((error) => console.log(`[Lifecycle] Check failed: ${error.message}`))
+      .finally(() => {
+        if (this.checking !== checking) return;
+        this.checking = null;
+        if (this.recheck && !page.isClosed()) {
+          this.recheck = false;
+          this.check(page, cause);
+        }
+      });
+    this.checking = checking;
+    return checking;
+  }
+
+  getStats() {
+    return {
+      pageSessionId: this.session,
+      build: this.build,
+      reloads: this.reloads,
+      storeReady: !!(this.session && this.storeReady.has(this.session))
+    };
+  }
+
+  // Private Methods
+
+  async _verify(page, navigationCause) {
+    const startedAt = Date.now();
+    const info = await this._readSession(page);
+    if (page !== this.page || page.isClosed()) return;
+    if (!info) {
+      console.log('[Lifecycle] Bridge not found after navigation');
+      this.client.emitEvent({ event: 'bridge_missing', timestamp: Date.now(), rawData: { url: page.url() } });
+      return;
+    }
+    if (info.pageSessionId === this.session) return; // same document (e.g. hash change)
+
+    // The first session on a page comes from its launch; later ones are in-page reloads
+    const cause = this.cause || navigationCause;
+    this.cause = null;
+    const previous = { session: this.session, build: this.build, store: this.store };
+    this.session = info.pageSessionId;
+    this.build = info.build;
+    this.store = null;
+    console.log(`[Lifecycle] New page session ${info.pageSessionId} (${cause})`);
+
+    if (this.options.onDocument) this.options.onDocument(page, { cause });
+
+    this.waitingFor = info.pageSessionId;
+    const store = await this._waitStoreReady(info.pageSessionId);
+    if (this.waitingFor === info.pageSessionId) this.waitingFor = null;
+    if (store === SUPERSEDED || page !== this.page || info.pageSessionId !== this.session) return; // superseded meanwhile
+    this.store = store;
+    if (store) {
+      // Debug.VERSION is set by WhatsApp's own bundle, usually after the bridge
+      this.build = (await this._readSession(page, 1000).catch(() => null) || {}).build || this.build;
+      if (this.options.onStoreReady) this.options.onStoreReady(page, { cause });
+    } else {
+      console.log(`[Lifecycle] No store_ready for ${info.pageSessionId} after ${this.options.storeReadyTimeoutMs}ms`);
+    }
+
+    if (!previous.session) return; // nothing to compare the first session with
+    this.reloads++;
+    this.client.emitEvent({
+      event: 'page_reloaded',
+      timestamp: Date.now(),
+      rawData: {
+        cause,
+        pageSessionId: this.session,
+        previousPageSessionId: previous.session,
+        build: this.build,
+        previousBuild: previous.build,
+        buildChanged: !!(this.build && previous.build && this.build !== previous.build),
+        storeReady: !!store,
+        storeChanges: diffStore(previous.store, store),
+        reloads: this.reloads,
+        recoveryMs: Date.now() - startedAt
+      }
+    });
+  }
+
+  async _readSession(page, timeout = this.options.bridgeTimeoutMs) {
+    try {
+      await page.waitForFunction(() => {
+        const bridge = window[Symbol.for('__wb_bridge')];
+        return bridge && typeof bridge.getStats === 'function';
+      }, { timeout });
+      return await page.evaluate(() => {
+        const stats = window[Symbol.for('__wb_bridge')].getStats();
+        let build = null;
+        try {
+          build = (window.Debug && window.Debug.VERSION) || null;
+        } catch (_) {}
+        return { pageSessionId: stats.pageSessionId, build };
+      });
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // A navigation during the store wait: if it brought a new document, stop waiting
+  // for the old one so the queued re-check picks up the new session right away.
+  // An unreadable bridge proves nothing; the store-ready timeout covers that case.
+  async _supersede(page, pageSessionId) {
+    const info = await this._readSession(page);
+    if (page !== this.page || !info || info.pageSessionId === pageSessionId) return;
+    const done = this.waiters.get(pageSessionId);
+    if (done) {
+      console.log(`[Lifecycle] Page session ${pageSessionId} replaced before its store_ready`);
+      done(SUPERSEDED);
+    }
+  }
+
+  _waitStoreReady(pageSessionId) {
+    if (this.storeReady.has(pageSessionId)) return Promise.resolve(this.storeReady.get(pageSessionId));
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => done(null), this.options.storeReadyTimeoutMs);
+      const done = (payload) => {
+        clearTimeout(timer);
+        this.waiters.delete(pageSessionId);
+        resolve(payload);
+      };
+      this.waiters.set(pageSessionId, done);
+    });
+  }
+}
+
+// Capabilities that appeared or disappeared between two store_ready payloads
+function diffStore(before, after) {
+  if (!before || !after) return [];
+  const changes = [];
+  for (const flag of STORE_FLAGS) {
+    if (!!before[flag] !== !!after[flag]) changes.push({ field: flag, previous: !!before[flag], value: !!after[flag] });
+  }
+  for (const field of ['msgMethods', 'connMethods']) {
+    const prev = new Set(before[field] || []);
+    const next = new Set(after[field] || []);
+    const added = [...next].filter(m => !prev.has(m));
+    const removed = [...prev].filter(m => !next.has(m));
+    if (added.length || removed.length) changes.push({ field, added, removed });
+  }
+  return changes;
+}
+
+module.exports = PageLifecycle;
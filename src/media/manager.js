@@ -4,6 +4,7 @@
  - Handles media detection, validation, downloading, and storage
  - Provides circuit breaker, retry logic, and comprehensive state management
  - Enhanced with whatsapp-web.js compatible downloader
+ - Status (stories) media jumps the queue and is stored under status/
 */
 const fs = require('fs');
 const path = require('path');
@@ -99,7 +100,7 @@ class MediaManager {
     this._ensureDir(this.storageDir);
 
     // Initialize downloader helpers
-    this._initializeDownloader();
+    if (this.page) this._initializeDownloader();
   }
 
   /**
@@ -117,6 +118,16 @@ class MediaManager {
 
   // Public API Methods
 
+  /**
+   * Points downloads at a new page after the browser was relaunched.
+   * Downloads that were running on the old page fail and are retried.
+   */
+  setPage(page) {
+    this.page = page;
+    this.downloader.page = page;
+    if (page) this._initializeDownloader();
+  }
+
   async maybeEnrich(evt) {
     if (!this.config.enabled) return evt;
     
@@ -160,19 +171,28 @@ class MediaManager {
       return { ...evt, localMedia: { downloaded: false, deduplicated: true } };
     }
 
+    // Statuses disappear after 24h, so they are downloaded first
+    const isStatus = this._isStatus(rawData);
+    if (isStatus && this._statusExpiresAt(rawData) <= Date.now()) {
+      return { ...evt, localMedia: { downloaded: false, expired: true } };
+    }
+
     // Enqueue for download
     const enqueued = await this._enqueue({
       messageId,
       rawData,
       timestamp: Date.now(),
-      retries: 0
+      retries: 0,
+      priority: isStatus
     });
 
     if (enqueued) {
-      return { ...evt, localMedia: { queued: true, state: MEDIA_STATES.PENDING } };
+      const localMedia = { queued: true, state: MEDIA_STATES.PENDING };
+      if (isStatus) localMedia.priority = true;
+      return { ...evt, localMedia };
     }
 
-    return evt;
+    return { ...evt, localMedia: { queued: false, dropped: true } };
   }
 
   getStats() {
@@ -196,6 +216,17 @@ class MediaManager {
     return this.states.get(messageId) || null;
   }
 
+  /**
+   * Drops state and deduplication entries for a message so it can be
+   * enqueued again (e.g. a JetStream redelivery after a failed download)
+   */
+  forget(messageId) {
+    this.states.delete(messageId);
+    for (const [key, id] of this.deduplicationCache.entries()) {
+      if (id === messageId) this.deduplicationCache.delete(key);
+    }
+  }
+
   cleanup() {
     let cleaned = 0;
     const cutoffTime = Date.now() - this.config.cleanupCompletedAfterMs;
@@ -229,7 +260,7 @@ class MediaManager {
     }
 
     // Add to queue
-    this.queue.push(item);
+    this._insert(item);
     this.states.set(item.messageId, {
       state: MEDIA_STATES.PENDING,
       timestamp: item.timestamp,
@@ -248,6 +279,17 @@ class MediaManager {
     return true;
   }
 
+  // Priority items go after other priority items but ahead of everything else
+  _insert(item) {
+    if (!item.priority) {
+      this.queue.push(item);
+      return;
+    }
+    const index = this.queue.findIndex(queued => !queued.priority);
+    if (index === -1) this.queue.push(item);
+    else this.queue.splice(index, 0, item);
+  }
+
   async _processQueue() {
     if (this.processing) return;
     
@@ -331,7 +373,8 @@ class MediaManager {
         
         // Add back to queue with exponential backoff
         setTimeout(() => {
-          this.queue.push(item);
+          this._insert(item);
+          if (!this.processing) this._processQueue();
         }, this.config.retryDelayMs * Math.pow(2, item.retries - 1));
       } else {
         // Max retries reached
@@ -377,7 +420,9 @@ class MediaManager {
       const year = date.getFullYear();
       const month = String(date.getMonth() + 1).padStart(2, '0');
       
-      const yearDir = path.join(this.storageDir, year.toString());
+      const isStatus = this._isStatus(rawData);
+      const baseDir = isStatus ? path.join(this.storageDir, 'status') : this.storageDir;
+      const yearDir = path.join(baseDir, year.toString());
       const monthDir = path.join(yearDir, month);
       this._ensureDir(monthDir);
       
@@ -409,6 +454,13 @@ class MediaManager {
         },
         messageMedia: messageMedia.toJSON(false) // Don't include data in metadata
       };
+      if (isStatus) {
+        metadata.status = {
+          poster: rawData.poster || (rawData.author && (rawData.author._serialized || rawData.author)) || null,
+          caption: rawData.caption || null,
+          expiresAt: this._statusExpiresAt(rawData)
+        };
+      }
       
       // Save metadata
       await this._saveMetadata(filePath + '.json', metadata);
@@ -680,6 +732,19 @@ class MediaManager {
     return `${timestamp}_${sanitizedId}`;
   }
 
+  _isStatus(rawData) {
+    const wid = (rawData.id && rawData.id.remote) || rawData.from;
+    const serialized = wid && (wid._serialized || wid);
+    return serialized === 'status@broadcast';
+  }
+
+  // Expiry in ms; statuses live 24h from posting
+  _statusExpiresAt(rawData) {
+    if (rawData.expiresAt) return rawData.expiresAt * 1000;
+    const postedAt = rawData.postedAt || rawData.timestamp || rawData.t;
+    return postedAt ? (postedAt + 24 * 60 * 60) * 1000 : Infinity;
+  }
+
   _getMessageId(rawData) {
     if (rawData.id && rawData.id._serialized) {
       return rawData.id._serialized;
@@ -1,19 +1,52 @@
 /*
  NATS JetStream Client
  - Connection management
+ - Reconnect supervisor with configurable backoff
  - Stream and consumer setup
  - Graceful shutdown
 */
-const { connect, StringCodec, AckPolicy, RetentionPolicy } = require('nats');
+const EventEmitter = require('events');
+const { connect, StringCodec, AckPolicy, RetentionPolicy, Events, DebugEvents } = require('nats');
 
-class NatsClient {
+// Connection states reported through the 'state' event
+const NATS_STATES = {
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  RECONNECTING: 'reconnecting'
+};
+
+class NatsClient extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.nc = null;
     this.js = null;
     this.jsm = null;
     this.sc = StringCodec();
     this.connected = false;
+
+    this.reconnectConfig = {
+      initialDelayMs: 1000,
+      maxDelayMs: 30000,
+      multiplier: 2,
+      ...(config.reconnect || {})
+    };
+    this.state = NATS_STATES.DISCONNECTED;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.closing = false;
+  }
+
+  /**
+   * Connects and keeps the connection supervised. If the first attempt
+   * fails, reconnection continues in the background.
+   */
+  async start() {
+    const connected = await this.connect();
+    if (!connected && this.config.enabled) {
+      this._scheduleReconnect('connect_failed');
+    }
+    return connected;
   }
 
   async connect() {
@@ -24,7 +57,15 @@ class NatsClient {
 
     try {
       console.log(`[NATS] Connecting to ${this.config.url}...`);
-      this.nc = await connect({ servers: this.config.url });
+      // Backoff only counts reconnects of an established connection; first-connect retries are ours
+      let established = false;
+      this.nc = await connect({
+        servers: this.config.url,
+        reconnect: true,
+        maxReconnectAttempts: -1,
+        reconnectDelayHandler: () => established ? this._nextDelay() : this.reconnectConfig.initialDelayMs
+      });
+      established = true;
       this.js = this.nc.jetstream();
       this.jsm = await this.nc.jetstreamManager();
       this.connected = true;
@@ -33,11 +74,19 @@ class NatsClient {
       
       // Setup stream
       await this.setupStream();
+
+      this.reconnectAttempts = 0;
+      this._monitorStatus(this.nc);
+      this._watchClosed(this.nc);
+      this._setState(NATS_STATES.CONNECTED, { server: this.config.url });
       
       return true;
     } catch (error) {
       console.log(`[NATS] Connection failed: ${error.message}`);
       this.connected = false;
+      if (this.nc && !this.nc.isClosed()) {
+        try { await this.nc.close(); } catch (_) {}
+      }
       return false;
     }
   }
@@ -84,9 +133,11 @@ class NatsClient {
     } catch (error) {
       console.log(`[NATS] Publish failed: ${error.code || error.message}`);
       
-      // If it's a connection issue, mark as disconnected
+      // If it's a connection issue, mark as disconnected until the stream is reachable again
       if (error.code === '503' || error.message.includes('503') || error.message.includes('connection')) {
         this.connected = false;
+        this._setState(NATS_STATES.DISCONNECTED, { reason: 'publish_failed', error: error.code || error.message });
+        this._scheduleReconnect('publish_failed');
       }
       
       throw error;
@@ -104,14 +155,31 @@ class NatsClient {
         ack_policy: AckPolicy.Explicit,
         max_deliver: config.max_deliver || 3,
         ack_wait: this.parseDuration(config.ack_wait || '30s'),
-        filter_subject: 'whatsapp.events'
+        filter_subject: config.filter_subject || 'whatsapp.*.events'
       };
 
       // Try to get existing consumer
+      let existing = null;
       try {
-        const consumer = await this.jsm.consumers.info(this.config.stream.name, consumerConfig.durable_name);
-        console.log(`[NATS] Consumer '${consumerConfig.durable_name}' already exists`);
+        existing = await this.jsm.consumers.info(this.config.stream.name, consumerConfig.durable_name);
       } catch (err) {
+        existing = null;
+      }
+
+      if (existing) {
+        console.log(`[NATS] Consumer '${consumerConfig.durable_name}' already exists`);
+        const current = existing.config;
+        if (current.filter_subject !== consumerConfig.filter_subject ||
+            current.max_deliver !== consumerConfig.max_deliver ||
+            current.ack_wait !== consumerConfig.ack_wait) {
+          await this.jsm.consumers.update(this.config.stream.name, consumerConfig.durable_name, {
+            filter_subject: consumerConfig.filter_subject,
+            max_deliver: consumerConfig.max_deliver,
+            ack_wait: consumerConfig.ack_wait
+          });
+          console.log(`[NATS] Updated consumer '${consumerConfig.durable_name}' (filter: ${consumerConfig.filter_subject})`);
+        }
+      } else {
         // Consumer doesn't exist, create it
         await this.jsm.consumers.add(this.config.stream.name, consumerConfig);
         console.log(`[NATS] Created consumer '${consumerConfig.durable_name}'`);
@@ -169,6 +237,11 @@ class NatsClient {
   }
 
   async close() {
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     if (this.nc) {
       console.log('[NATS] Closing connection...');
       await this.nc.close();
@@ -180,6 +253,101 @@ class NatsClient {
   isConnected() {
     return this.connected && this.nc && !this.nc.isClosed();
   }
+
+  getState() {
+    return {
+      state: this.state,
+      server: this.config.url,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+
+  // Private Supervisor Methods
+
+  _monitorStatus(nc) {
+    (async () => {
+      for await (const status of nc.status()) {
+        if (nc !== this.nc) break;
+
+        switch (status.type) {
+          case Events.Disconnect:
+            this.connected = false;
+            this._setState(NATS_STATES.DISCONNECTED, { reason: 'connection_lost', server: status.data });
+            break;
+          case DebugEvents.Reconnecting:
+            this._setState(NATS_STATES.RECONNECTING, { attempt: this.reconnectAttempts });
+            break;
+          case Events.Reconnect:
+            await this._restoreStream('reconnected');
+            break;
+          default:
+            break;
+        }
+      }
+    })().catch((error) => {
+      console.log(`[NATS] Status monitor stopped: ${error.message}`);
+    });
+  }
+
+  _watchClosed(nc) {
+    nc.closed().then((err) => {
+      if (this.closing || nc !== this.nc) return;
+      this.connected = false;
+      this._setState(NATS_STATES.DISCONNECTED, { reason: err ? err.message : 'connection_closed' });
+      this._scheduleReconnect('connection_closed');
+    });
+  }
+
+  async _restoreStream(reason) {
+    try {
+      // The server may have restarted without the stream
+      await this.setupStream();
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this._setState(NATS_STATES.CONNECTED, { server: this.config.url, reason });
+      return true;
+    } catch (error) {
+      this.connected = false;
+      this._scheduleReconnect('stream_setup_failed');
+      return false;
+    }
+  }
+
+  _scheduleReconnect(reason) {
+    if (this.closing || this.reconnectTimer) return;
+
+    const delayMs = this._nextDelay();
+    this._setState(NATS_STATES.RECONNECTING, { reason, attempt: this.reconnectAttempts, delayMs });
+    console.log(`[NATS] Reconnecting in ${delayMs}ms (attempt ${this.reconnectAttempts}, ${reason})`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.closing) return;
+
+      // Live connection: only the stream needs to come back. Otherwise reconnect from scratch.
+      const ok = this.nc && !this.nc.isClosed()
+        ? await this._restoreStream(reason)
+        : await this.connect();
+      if (!ok && !this.reconnectTimer) {
+        this._scheduleReconnect(reason);
+      }
+    }, delayMs);
+  }
+
+  _nextDelay() {
+    const { initialDelayMs, maxDelayMs, multiplier } = this.reconnectConfig;
+    const delay = Math.min(initialDelayMs * Math.pow(multiplier, this.reconnectAttempts), maxDelayMs);
+    this.reconnectAttempts++;
+    return delay;
+  }
+
+  _setState(state, details = {}) {
+    // Only transitions are reported
+    if (state === this.state) return;
+    this.state = state;
+    console.log(`[NATS] State: ${state}`);
+    this.emit('state', { state, ...details, timestamp: Date.now() });
+  }
 }
 
 module.exports = NatsClient;
\ No newline at end of file
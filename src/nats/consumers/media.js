@@ -1,11 +1,13 @@
 /*
  NATS Media Consumer
- - Consumes events from NATS JetStream
+ - Consumes events from NATS JetStream (split mode media worker)
  - Detects media in messages
  - Queues media for download using browser context
+ - Acks only after the download finished; naks with delay on failure
 */
 const fs = require('fs');
 const path = require('path');
+const { toMediaSource } = require('../../events/normalizer');
 
 // Media states
 const MEDIA_STATES = {
@@ -16,20 +18,42 @@ const MEDIA_STATES = {
 };
 
 class MediaConsumer {
-  constructor(natsClient, mediaConfig, storageDir, mediaQueue = null) {
+  constructor(natsClient, mediaConfig, storageDir, mediaQueue = null, options = {}) {
     this.natsClient = natsClient;
     this.mediaConfig = mediaConfig;
     this.storageDir = storageDir;
     this.mediaQueue = mediaQueue;
+    this.consumerConfig = {
+      durable_name: 'wradar-media',
+      max_deliver: 5,
+      ack_wait: '60s',
+      nak_delay_ms: 30000,
+      download_timeout_ms: 300000,
+      ...((natsClient.config.consumers && natsClient.config.consumers.media) || {}),
+      ...(options.consumerConfig || {})
+    };
+    this.phoneNumber = options.phoneNumber || '';
     this.consumer = null;
+    this.messages = null;
     this.running = false;
     this.processedCount = 0;
     this.downloadedCount = 0;
     this.errorCount = 0;
+    this.nakCount = 0;
     this.mediaStates = new Map(); // In-memory state tracking
   }
 
+  /**
+   * Subject the durable consumer reads. Explicit filter_subject wins,
+   * otherwise it's scoped to the configured phone number.
+   */
+  getFilterSubject() {
+    if (this.consumerConfig.filter_subject) return this.consumerConfig.filter_subject;
+    return this.phoneNumber ? `whatsapp.${this.phoneNumber}.events` : 'whatsapp.*.events';
+  }
+
   async start() {
+    if (this.running) return true;
     if (!this.natsClient.isConnected() || !this.mediaConfig.enabled) {
       console.log('[NATS:MediaConsumer] Disabled or NATS not connected');
       return false;
@@ -42,12 +66,12 @@ class MediaConsumer {
       }
 
       // Create consumer
-      this.consumer = await this.natsClient.createConsumer(
-        'media',
-        this.natsClient.config.consumers.media
-      );
+      this.consumer = await this.natsClient.createConsumer('media', {
+        ...this.consumerConfig,
+        filter_subject: this.getFilterSubject()
+      });
 
-      console.log('[NATS:MediaConsumer] Starting media consumer...');
+      console.log(`[NATS:MediaConsumer] Starting media consumer on ${this.getFilterSubject()}...`);
       this.running = true;
 
       // Start consuming
@@ -64,48 +88,87 @@ class MediaConsumer {
     if (!this.consumer) return;
 
     try {
-      const messages = await this.consumer.consume();
+      this.messages = await this.consumer.consume();
       
-      for await (const msg of messages) {
+      for await (const msg of this.messages) {
         if (!this.running) break;
         
+        let eventData;
+        try {
+          eventData = JSON.parse(msg.string());
+        } catch (error) {
+          // Unparseable payloads will never succeed
+          console.log(`[NATS:MediaConsumer] Invalid payload: ${error.message}`);
+          this.errorCount++;
+          msg.term('invalid_json');
+          continue;
+        }
+
         try {
-          // Parse event
-          const eventData = JSON.parse(msg.string());
-          
-          // Only process message events with media
-          if (this.shouldProcessEvent(eventData)) {
-            await this.processMediaEvent(eventData);
+          // Non-media events are acknowledged right away
+          if (!this.shouldProcessEvent(eventData)) {
+            msg.ack();
+            this.processedCount++;
+            continue;
           }
-          
-          // Always acknowledge - we don't want to reprocess non-media events
-          msg.ack();
+
+          const outcome = await this.processMediaEvent(eventData, msg);
           this.processedCount++;
-          
+
+          if (outcome === MEDIA_STATES.ERROR) {
+            this.retryLater(msg, eventData);
+          } else {
+            msg.ack();
+          }
         } catch (error) {
           console.log(`[NATS:MediaConsumer] Error processing message: ${error.message}`);
           this.errorCount++;
-          msg.ack(); // Acknowledge to avoid infinite redelivery
+          this.retryLater(msg, eventData);
         }
       }
     } catch (error) {
       console.log(`[NATS:MediaConsumer] Consume error: ${error.message}`);
-      
-      // Restart consumption after delay
-      if (this.running) {
-        setTimeout(() => this.consumeMessages(), 5000);
-      }
+    }
+
+    this.messages = null;
+
+    // Restart consumption after delay
+    if (this.running) {
+      setTimeout(() => this.consumeMessages(), 5000);
     }
   }
 
+  retryLater(msg, eventData) {
+    const deliveries = (msg.info && msg.info.redeliveryCount) || 1;
+    const messageId = this.getMessageId(eventData) || 'unknown';
+
+    if (deliveries >= this.consumerConfig.max_deliver) {
+      console.log(`[NATS:MediaConsumer] Giving up on ${messageId} after ${deliveries} deliveries`);
+      msg.term('max_deliver');
+      return;
+    }
+
+    // Linear backoff per delivery
+    const delay = this.consumerConfig.nak_delay_ms * deliveries;
+    console.log(`[NATS:MediaConsumer] Will retry ${messageId} in ${delay}ms (delivery ${deliveries})`);
+    this.nakCount++;
+    msg.nak(delay);
+  }
+
   shouldProcessEvent(eventData) {
     // Only process message events
-    if (!eventData.event || !eventData.event.startsWith('message_')) {
+    const eventName = eventData.type || eventData.event;
+    if (!eventName || !eventName.startsWith('message_')) {
+      return false;
+    }
+
+    // Backfilled history only brings media when it was asked for
+    if (eventData.payload && eventData.payload.backfill && !eventData.payload.backfill.media) {
       return false;
     }
 
     // Check if message has media
-    const rawData = eventData.rawData;
+    const rawData = this.getMediaSource(eventData);
     if (!rawData || !rawData.type) {
       return false;
     }
@@ -114,45 +177,93 @@ class MediaConsumer {
     return this.mediaConfig.downloadTypes.includes(rawData.type);
   }
 
-  async processMediaEvent(eventData) {
+  async processMediaEvent(eventData, msg = null) {
     const messageId = this.getMessageId(eventData);
     if (!messageId) {
       console.log('[NATS:MediaConsumer] No message ID found');
-      return;
+      return null;
     }
 
-    const rawData = eventData.rawData;
+    const rawData = this.getMediaSource(eventData);
+
+    if (!this.mediaQueue) {
+      // Fallback: save metadata only
+      await this.saveMetadataOnly(messageId, rawData);
+      this.mediaStates.set(messageId, MEDIA_STATES.ERROR);
+      console.log(`[NATS:MediaConsumer] No media queue available, saved metadata only: ${messageId}`);
+      return null;
+    }
 
     // Check current state
-    const currentState = this.mediaStates.get(messageId);
-    if (currentState === MEDIA_STATES.DOWNLOADED || currentState === MEDIA_STATES.DOWNLOADING) {
-      console.log(`[NATS:MediaConsumer] Message ${messageId} already ${currentState}`);
-      return;
+    const current = this.mediaQueue.getState(messageId);
+    if (current && current.state === MEDIA_STATES.DOWNLOADED) {
+      console.log(`[NATS:MediaConsumer] Message ${messageId} already downloaded`);
+      return MEDIA_STATES.DOWNLOADED;
+    }
+    if (current && current.state === MEDIA_STATES.ERROR) {
+      // Redelivery after a failed download: let the manager try again
+      this.mediaQueue.forget(messageId);
     }
 
     try {
-      if (this.mediaQueue) {
-        // Use media manager for browser-based downloads
-        // MediaManager handles enqueueing internally via maybeEnrich
+      if (!current || current.state === MEDIA_STATES.ERROR) {
         const enrichedEvent = await this.mediaQueue.maybeEnrich({ rawData: rawData });
-        if (enrichedEvent.localMedia && enrichedEvent.localMedia.queued) {
-          this.mediaStates.set(messageId, MEDIA_STATES.PENDING);
-          console.log(`[NATS:MediaConsumer] Queued ${rawData.type} for download: ${messageId}`);
+        const localMedia = enrichedEvent.localMedia;
+        if (!localMedia) {
+          // Rejected by the manager's type/size/mime checks - retrying won't help
+          return null;
+        }
+        if (localMedia.dropped) {
+          // Queue full or circuit breaker open
+          return MEDIA_STATES.ERROR;
         }
+        if (localMedia.deduplicated && !this.mediaQueue.getState(messageId)) {
+          return MEDIA_STATES.DOWNLOADED;
+        }
+        this.mediaStates.set(messageId, MEDIA_STATES.PENDING);
+        console.log(`[NATS:MediaConsumer] Queued ${rawData.type} for download: ${messageId}`);
+      }
+
+      const state = await this.waitForDownload(messageId, msg);
+      this.mediaStates.set(messageId, state);
+      if (state === MEDIA_STATES.DOWNLOADED) {
+        this.downloadedCount++;
       } else {
-        // Fallback: save metadata only
-        await this.saveMetadataOnly(messageId, rawData);
-        this.mediaStates.set(messageId, MEDIA_STATES.ERROR);
-        console.log(`[NATS:MediaConsumer] No media queue available, saved metadata only: ${messageId}`);
+        this.errorCount++;
       }
-      
+      return state;
     } catch (error) {
       console.log(`[NATS:MediaConsumer] Processing failed for ${messageId}: ${error.message}`);
       this.mediaStates.set(messageId, MEDIA_STATES.ERROR);
       this.errorCount++;
+      return MEDIA_STATES.ERROR;
     }
   }
 
+  /**
+   * Waits until the manager finished the download, telling JetStream the
+   * message is still being worked on so ack_wait doesn't expire.
+   */
+  async waitForDownload(messageId, msg) {
+    const deadline = Date.now() + this.consumerConfig.download_timeout_ms;
+    let lastWorking = Date.now();
+
+    while (this.running && Date.now() < deadline) {
+      const current = this.mediaQueue.getState(messageId);
+      if (current && (current.state === MEDIA_STATES.DOWNLOADED || current.state === MEDIA_STATES.ERROR)) {
+        return current.state;
+      }
+
+      if (msg && Date.now() - lastWorking > 10000) {
+        msg.working();
+        lastWorking = Date.now();
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    return MEDIA_STATES.ERROR;
+  }
+
   async saveMetadataOnly(messageId, rawData) {
     // Generate filename for metadata
     const timestamp = Date.now();
@@ -191,12 +302,18 @@ class MediaConsumer {
   }
 
   getMessageId(eventData) {
-    if (eventData.rawData && eventData.rawData.id && eventData.rawData.id._serialized) {
-      return eventData.rawData.id._serialized;
+    const rawData = this.getMediaSource(eventData);
+    if (rawData && rawData.id && rawData.id._serialized) {
+      return rawData.id._serialized;
     }
     return null;
   }
 
+  getMediaSource(eventData) {
+    // v1 envelopes, or events stored in the stream before the envelope existed
+    return eventData.schemaVersion ? toMediaSource(eventData) : eventData.rawData;
+  }
+
   getMediaState(messageId) {
     if (this.mediaQueue) {
       return this.mediaQueue.getState(messageId);
@@ -208,9 +325,9 @@ class MediaConsumer {
     console.log('[NATS:MediaConsumer] Stopping...');
     this.running = false;
     
-    if (this.consumer) {
+    if (this.messages) {
       try {
-        await this.consumer.close();
+        await this.messages.close();
       } catch (error) {
         console.log(`[NATS:MediaConsumer] Error closing consumer: ${error.message}`);
       }
@@ -220,8 +337,10 @@ class MediaConsumer {
   getStats() {
     const baseStats = {
       running: this.running,
+      filterSubject: this.getFilterSubject(),
       processed: this.processedCount,
-      errors: this.errorCount
+      errors: this.errorCount,
+      naks: this.nakCount
     };
 
     if (this.mediaQueue) {
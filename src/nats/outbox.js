@@ -0,0 +1,258 @@
+/*
+ NATS Outbox
+ - Append-only segment log for events that could not be published
+ - Replays in order once NATS is connected again
+ - Keeps the original msgID so JetStream deduplicates anything already stored
+ - Cursor file tracks replay progress across restarts
+*/
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_EXT = '.log';
+const CURSOR_FILE = 'cursor.json';
+
+class NatsOutbox {
+  constructor(config = {}) {
+    this.config = {
+      path: './sessions/outbox',
+      maxSegmentBytes: 8 * 1024 * 1024, // 8MB
+      maxSegments: 50,
+      replayIntervalMs: 5000,
+      ...config
+    };
+    this.dir = this.config.path;
+    this.cursorFile = path.join(this.dir, CURSOR_FILE);
+
+    this.segments = [];     // segment numbers, oldest first
+    this.cursor = { segment: 0, line: 0 };
+    this.pending = 0;
+    this.replaying = null;
+    this.replayingSegment = null; // segment _replay() is iterating, never dropped under it
+    this.timer = null;
+
+    this.stats = {
+      appended: 0,
+      replayed: 0,
+      corrupt: 0,
+      droppedSegments: 0
+    };
+
+    this._ensureDir(this.dir);
+    this._load();
+  }
+
+  hasPending() {
+    return this.pending > 0;
+  }
+
+  /**
+   * Appends an already-enriched event with the subject and msgID it should be
+   * published with.
+   */
+  append(subject, event, msgID) {
+    try {
+      const line = JSON.stringify({ subject, msgID, storedAt: Date.now(), event }) + '\n';
+      let segment = this._activeSegment();
+      const file = this._segmentPath(segment);
+
+      if (fs.existsSync(file) && fs.statSync(file).size + Buffer.byteLength(line) > this.config.maxSegmentBytes) {
+        segment = this._rotate();
+      }
+
+      fs.appendFileSync(this._segmentPath(segment), line);
+      this.pending++;
+      this.stats.appended++;
+      return true;
+    } catch (error) {
+      console.log(`[NATS:Outbox] Append failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Starts a timer that replays the outbox whenever isReady() is true.
+   */
+  start(isReady, publish) {
+    this.stop();
+    this.timer = setInterval(() => {
+      if (this.hasPending() && isReady()) {
+        this.replay(publish).catch(() => {});
+      }
+    }, this.config.replayIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Publishes stored records in order with publish(subject, event, msgID).
+   * Stops at the first failure so ordering is kept; the rest is retried later.
+   */
+  async replay(publish) {
+    if (this.replaying) return this.replaying;
+    this.replaying = this._replay(publish).finally(() => {
+      this.replaying = null;
+      this.replayingSegment = null;
+    });
+    return this.replaying;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.pending,
+      segments: this.segments.length,
+      cursor: { ...this.cursor }
+    };
+  }
+
+  // Private Replay Methods
+
+  async _replay(publish) {
+    let published = 0;
+    if (this.pending > 0) {
+      console.log(`[NATS:Outbox] Replaying ${this.pending} stored event(s)`);
+    }
+
+    while (this.segments.length) {
+      const segment = this.segments[0];
+      if (this.cursor.segment !== segment) {
+        this.cursor = { segment, line: 0 };
+      }
+
+      this.replayingSegment = segment;
+      const lines = this._readLines(segment);
+      if (segment === this._activeSegment()) {
+        if (this.cursor.line >= lines.length) break;
+        // Send new appends to a fresh segment while this one is replayed
+        this.segments.push(segment + 1);
+      }
+
+      while (this.cursor.line < lines.length) {
+        const raw = lines[this.cursor.line];
+        let record = null;
+        try {
+          record = JSON.parse(raw);
+        } catch (_) {
+          // Torn write from a crash - nothing to recover
+          this.stats.corrupt++;
+        }
+
+        if (record) {
+          await publish(record.subject, record.event, record.msgID);
+          published++;
+          this.stats.replayed++;
+        }
+
+        this.cursor.line++;
+        this.pending = Math.max(0, this.pending - 1);
+        this._saveCursor();
+      }
+
+      // Segment fully replayed
+      this.replayingSegment = null;
+      this._removeSegment(segment);
+    }
+
+    if (published) {
+      console.log(`[NATS:Outbox] Replay complete (${published} published)`);
+    }
+    return published;
+  }
+
+  // Private Segment Methods
+
+  _load() {
+    try {
+      this.segments = fs.readdirSync(this.dir)
+        .filter(f => f.endsWith(SEGMENT_EXT))
+        .map(f => parseInt(path.basename(f, SEGMENT_EXT), 10))
+        .filter(n => !isNaN(n))
+        .sort((a, b) => a - b);
+
+      if (fs.existsSync(this.cursorFile)) {
+        const cursor = JSON.parse(fs.readFileSync(this.cursorFile, 'utf8'));
+        if (cursor && this.segments.includes(cursor.segment)) {
+          this.cursor = { segment: cursor.segment, line: cursor.line || 0 };
+        }
+      }
+
+      this.pending = 0;
+      for (const segment of this.segments) {
+        const count = this._readLines(segment).length;
+        this.pending += segment === this.cursor.segment ? Math.max(0, count - this.cursor.line) : count;
+      }
+
+      if (this.pending) {
+        console.log(`[NATS:Outbox] Loaded ${this.pending} pending event(s) from ${this.segments.length} segment(s)`);
+      }
+    } catch (error) {
+      console.log(`[NATS:Outbox] Failed to load outbox: ${error.message}`);
+    }
+  }
+
+  _activeSegment() {
+    if (!this.segments.length) {
+      this.segments.push(1);
+    }
+    return this.segments[this.segments.length - 1];
+  }
+
+  _rotate() {
+    const next = this._activeSegment() + 1;
+    this.segments.push(next);
+
+    // Bound disk usage by dropping the oldest segment that is not being replayed
+    while (this.segments.length > this.config.maxSegments) {
+      const oldest = this.segments.find(s => s !== this.replayingSegment && s !== next);
+      if (oldest === undefined) break;
+      const lost = this._readLines(oldest).length - (this.cursor.segment === oldest ? this.cursor.line : 0);
+      console.log(`[NATS:Outbox] Max segments reached, dropping segment ${oldest} (${lost} event(s))`);
+      this.pending = Math.max(0, this.pending - lost);
+      this.stats.droppedSegments++;
+      this._removeSegment(oldest);
+    }
+    return next;
+  }
+
+  _removeSegment(segment) {
+    try {
+      fs.rmSync(this._segmentPath(segment), { force: true });
+    } catch (_) {}
+    this.segments = this.segments.filter(s => s !== segment);
+    if (this.cursor.segment === segment) {
+      this.cursor = { segment: this.segments[0] || 0, line: 0 };
+      this._saveCursor();
+    }
+  }
+
+  _readLines(segment) {
+    try {
+      return fs.readFileSync(this._segmentPath(segment), 'utf8').split('\n').filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _saveCursor() {
+    try {
+      fs.writeFileSync(this.cursorFile, JSON.stringify(this.cursor));
+    } catch (_) {}
+  }
+
+  _segmentPath(segment) {
+    return path.join(this.dir, String(segment).padStart(6, '0') + SEGMENT_EXT);
+  }
+
+  _ensureDir(dir) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+}
+
+module.exports = NatsOutbox;
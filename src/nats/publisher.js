@@ -2,7 +2,8 @@
  NATS Publisher
  - Publishes WhatsApp events to JetStream
  - Handles deduplication via message ID
- - Fallback when NATS unavailable
+ - Fallback when NATS unavailable: events go to the on-disk outbox
+ - Optional fixed subject and msgID prefix (replays publish beside live traffic)
 */
 
 class NatsPublisher {
@@ -10,58 +11,110 @@ class NatsPublisher {
     this.natsClient = natsClient;
     this.baseSubject = 'whatsapp.events';
     this.phoneNumber = config.phoneNumber || '';
-    this.subject = this.phoneNumber ? `whatsapp.${this.phoneNumber}.events` : this.baseSubject;
+    this.fixedSubject = config.subject || null;
+    this.subject = this.fixedSubject || (this.phoneNumber ? `whatsapp.${this.phoneNumber}.events` : this.baseSubject);
+    this.msgIdPrefix = config.msgIdPrefix || '';
+    this.outbox = config.outbox || null;
+
+    if (this.outbox) {
+      this.outbox.start(
+        () => this.natsClient.isConnected(),
+        (subject, event, msgID) => this.publishStored(subject, event, msgID)
+      );
+    }
   }
 
   updatePhoneNumber(phoneNumber) {
     this.phoneNumber = phoneNumber;
+    if (this.fixedSubject) return;
     this.subject = phoneNumber ? `whatsapp.${phoneNumber}.events` : this.baseSubject;
     console.log(`[NATS:Publisher] Updated subject to: ${this.subject}`);
   }
 
   async publishEvent(event) {
+    // Generate message ID for deduplication
+    const msgID = this.msgIdPrefix + this.generateMessageId(event);
+
+    // Envelopes carry the account in accountId; legacy events get phoneNumber
+    const enrichedEvent = event.schemaVersion
+      ? { ...event, accountId: event.accountId || this.phoneNumber || null }
+      : { ...event, phoneNumber: this.phoneNumber };
+    const eventName = event.type || event.event;
+
     if (!this.natsClient.isConnected()) {
-      console.log('[NATS:Publisher] Not connected, skipping event');
+      console.log(`[NATS:Publisher] Not connected, ${this.outbox ? 'storing' : 'skipping'} event`);
+      this.storeInOutbox(enrichedEvent, msgID);
+      return false;
+    }
+
+    // Keep ordering: older stored events must go out first
+    if (this.outbox && this.outbox.hasPending()) {
+      this.storeInOutbox(enrichedEvent, msgID);
+      this.flushOutbox().catch(() => {});
       return false;
     }
 
     try {
-      // Generate message ID for deduplication
-      const msgID = this.generateMessageId(event);
-      
-      // Add phone number to the event payload
-      const enrichedEvent = {
-        ...event,
-        phoneNumber: this.phoneNumber
-      };
-      
       const pubAck = await this.natsClient.publish(this.subject, enrichedEvent, {
         msgID: msgID
       });
 
-      console.log(`[NATS:Publisher] Published ${event.event} (seq: ${pubAck.seq})`);
+      console.log(`[NATS:Publisher] Published ${eventName} (seq: ${pubAck.seq})`);
       return true;
     } catch (error) {
       const errorCode = error.code || error.message;
-      console.log(`[NATS:Publisher] Failed to publish ${event.event}: ${errorCode}`);
+      console.log(`[NATS:Publisher] Failed to publish ${eventName}: ${errorCode}`);
       
       // If it's a 503 error, the NATS server might be down or not responding
       if (errorCode.includes('503')) {
         console.log('[NATS:Publisher] Server unavailable (503) - check NATS server status');
       }
-      
+
+      this.storeInOutbox(enrichedEvent, msgID);
       return false;
     }
   }
 
+  storeInOutbox(enrichedEvent, msgID) {
+    if (!this.outbox) return false;
+    const stored = this.outbox.append(this.subject, enrichedEvent, msgID);
+    if (stored) {
+      console.log(`[NATS:Publisher] Stored ${enrichedEvent.type || enrichedEvent.event} in outbox (pending: ${this.outbox.pending})`);
+    }
+    return stored;
+  }
+
+  async flushOutbox() {
+    if (!this.outbox || !this.outbox.hasPending() || !this.natsClient.isConnected()) {
+      return 0;
+    }
+    return this.outbox.replay((subject, event, msgID) => this.publishStored(subject, event, msgID));
+  }
+
+  publishStored(subject, event, msgID) {
+    // Same subject and msgID as the original attempt so the duplicate window applies
+    return this.natsClient.publish(subject, event, { msgID });
+  }
+
+  stop() {
+    if (this.outbox) {
+      this.outbox.stop();
+    }
+  }
+
   generateMessageId(event) {
+    // Envelopes already carry a stable id
+    if (event.eventId) return event.eventId;
+
     // Create unique message ID for deduplication
     const timestamp = event.timestamp || Date.now();
     const eventType = event.event || 'unknown';
     
     // For messages, use WhatsApp message ID if available
     if (event.rawData && event.rawData.id && event.rawData.id._serialized) {
-      return `${eventType}-${event.rawData.id._serialized}`;
+      // Edits reuse the message id, so each version needs its own msgID
+      const version = event.rawData.version ? `-v${event.rawData.version}` : '';
+      return `${eventType}-${event.rawData.id._serialized}${version}`;
     }
     
     // For other events, use timestamp + event type + hash of content
@@ -81,7 +134,7 @@ class NatsPublisher {
 
   async getStats() {
     if (!this.natsClient.isConnected()) {
-      return { connected: false };
+      return { connected: false, outbox: this.outbox ? this.outbox.getStats() : null };
     }
 
     try {
@@ -94,7 +147,8 @@ class NatsPublisher {
           bytes: streamInfo.state.bytes,
           first_seq: streamInfo.state.first_seq,
           last_seq: streamInfo.state.last_seq
-        } : null
+        } : null,
+        outbox: this.outbox ? this.outbox.getStats() : null
       };
     } catch (error) {
       return { connected: true, error: error.message };
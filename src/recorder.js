@@ -0,0 +1,121 @@
+/*
+ Event Recorder
+ - Writes every dequeued bridge event, before normalization and media enrichment,
+   to a gzip-compressed JSONL capture
+ - First line is a header ({ capture: 'wradar', version, startedAt, ... }),
+   then one { t, event } line per event (t = epoch ms when it was dequeued)
+ - Flushed periodically so a capture cut short by a crash is still readable
+ - readCapture() streams a capture back for replay
+*/
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+
+const CAPTURE_VERSION = 1;
+
+class EventRecorder {
+  constructor(config = {}) {
+    this.config = {
+      path: './captures',
+      flushMs: 5000,
+      ...config
+    };
+    this.file = null;
+    this.gzip = null;
+    this.output = null;
+    this.timer = null;
+    this.stats = { recorded: 0, startedAt: null };
+  }
+
+  /**
+   * Opens a new capture; config.path may be a directory or a .jsonl.gz file.
+   */
+  start(meta = {}) {
+    const target = this.config.path;
+    this.file = /\.gz$/.test(target)
+      ? target
+      : path.join(target, `capture-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl.gz`);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.gzip = zlib.createGzip();
+    this.output = fs.createWriteStream(this.file);
+    this.gzip.pipe(this.output);
+    this.gzip.on('error', (error) => console.log(`[Recorder] Compression error: ${error.message}`));
+    this.output.on('error', (error) => console.log(`[Recorder] Write error: ${error.message}`));
+
+    this.stats = { recorded: 0, startedAt: Date.now() };
+    this._writeLine({ capture: 'wradar', version: CAPTURE_VERSION, startedAt: this.stats.startedAt, ...meta });
+    this.timer = setInterval(() => this.gzip && this.gzip.flush(), this.config.flushMs);
+    console.log(`[Recorder] Recording bridge events to ${this.file}`);
+    return this.file;
+  }
+
+  record(evt) {
+    if (!this.gzip || !evt) return;
+    try {
+      this._writeLine({ t: Date.now(), event: evt });
+      this.stats.recorded++;
+    } catch (error) {
+      console.log(`[Recorder] Failed to record event: ${error.message}`);
+    }
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (!this.gzip) return;
+    const { gzip, output } = this;
+    this.gzip = null;
+    await new Promise((resolve) => {
+      output.once('finish', resolve);
+      output.once('error', resolve);
+      gzip.end();
+    });
+    console.log(`[Recorder] Capture closed: ${this.stats.recorded} event(s) in ${this.file}`);
+  }
+
+  getStats() {
+    return { ...this.stats, file: this.file, recording: !!this.gzip };
+  }
+
+  // Private Methods
+
+  _writeLine(value) {
+    this.gzip.write(JSON.stringify(value) + '\n');
+  }
+}
+
+/**
+ * Async iterator over a capture: yields { header } once, then { t, event } records.
+ * Tolerates a truncated tail (recorder killed mid-write).
+ */
+async function* readCapture(file) {
+  const gunzip = zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  const lines = readline.createInterface({ input: fs.createReadStream(file).pipe(gunzip), crlfDelay: Infinity });
+
+  let first = true;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (_) {
+      continue; // half-written last line
+    }
+    if (first) {
+      first = false;
+      if (record.capture === 'wradar') {
+        if (record.version > CAPTURE_VERSION) throw new Error(`Unsupported capture version ${record.version}`);
+        yield { header: record };
+        continue;
+      }
+      yield { header: null };
+    }
+    if (record && record.event) yield record;
+  }
+}
+
+module.exports = { EventRecorder, readCapture, CAPTURE_VERSION };
@@ -0,0 +1,134 @@
+/*
+ Capture Replay
+ - Feeds a recorded capture (see recorder.js) back through Client.emitEvent
+ - Original timing, accelerated (--speed=N) or as fast as possible (--speed=max)
+ - NATS publishing can go to another subject (--subject=...); replayed msgIDs get a
+   per-run prefix so JetStream does not drop them as duplicates of the originals
+ - Webhooks only with --webhooks; media downloads are off (there is no page)
+
+ Usage: node src/replay.js <capture.jsonl.gz> [--speed=1|N|max] [--subject=whatsapp.replay.events]
+                           [--account=<phone>] [--no-nats] [--webhooks] [--limit=N]
+*/
+const path = require('path');
+const config = require(process.env.WRADAR_CONFIG ? path.resolve(process.env.WRADAR_CONFIG) : '../config/default.json');
+const Client = require('./client');
+const NatsClient = require('./nats/client');
+const NatsPublisher = require('./nats/publisher');
+const WebhookDispatcher = require('./webhooks/dispatcher');
+const { EventNormalizer } = require('./events/normalizer');
+const { readCapture } = require('./recorder');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+function argValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a === `--${name}` || a.startsWith(prefix));
+  if (!arg) return undefined;
+  return arg.startsWith(prefix) ? arg.slice(prefix.length) : true;
+}
+
+function resolveSpeed() {
+  const value = argValue('speed');
+  if (value === undefined || value === true) return 1;
+  if (value === 'max') return Infinity;
+  const speed = Number(value);
+  if (!(speed > 0)) throw new Error(`Invalid speed '${value}' (expected a positive number or 'max')`);
+  return speed;
+}
+
+async function main() {
+  const file = process.argv.slice(2).find(a => !a.startsWith('--'));
+  if (!file) {
+    console.log('Usage: node src/replay.js <capture.jsonl.gz> [--speed=1|N|max] [--subject=<subject>] [--account=<phone>] [--no-nats] [--webhooks] [--limit=N]');
+    process.exit(1);
+  }
+  const speed = resolveSpeed();
+  const subject = typeof argValue('subject') === 'string' ? argValue('subject') : null;
+  const limit = Number(argValue('limit')) || Infinity;
+  const runId = Date.now().toString(36);
+
+  const records = readCapture(path.resolve(file));
+  const first = await records.next();
+  const header = (!first.done && first.value.header) || {};
+  const accountId = (typeof argValue('account') === 'string' && argValue('account')) || header.phoneNumber || config.whatsapp?.phoneNumber || '';
+  console.log(`[Replay] ${file}: recorded ${header.startedAt ? new Date(header.startedAt).toISOString() : 'at an unknown time'}, account ${accountId || 'unknown'}, speed ${speed === Infinity ? 'max' : `${speed}x`}`);
+
+  let natsClient = null;
+  let natsPublisher = null;
+  if (config.nats && config.nats.enabled && !argValue('no-nats')) {
+    natsClient = new NatsClient(config.nats);
+    if (!await natsClient.start()) {
+      throw new Error(`NATS unavailable at ${config.nats.url}`);
+    }
+    natsPublisher = new NatsPublisher(natsClient, {
+      phoneNumber: accountId,
+      subject,
+      msgIdPrefix: `replay-${runId}-`
+    });
+    console.log(`[Replay] Publishing to ${natsPublisher.subject}`);
+  } else {
+    console.log('[Replay] NATS disabled - events go to webhooks and listeners only');
+  }
+
+  let webhookDispatcher = null;
+  if (argValue('webhooks') && config.webhooks && config.webhooks.enabled) {
+    webhookDispatcher = new WebhookDispatcher(config.webhooks, {
+      deadLetterDir: path.resolve(PROJECT_ROOT, config.webhooks.deadLetterPath || './sessions/webhooks-dead-letter')
+    });
+    console.log(`[Replay] Webhooks: ${webhookDispatcher.config.targets.map(t => t.url).join(', ')}`);
+  }
+
+  const eventsConfig = config.events || {};
+  const client = new Client({
+    media: { ...config.media, enabled: false },
+    storageDir: path.resolve(PROJECT_ROOT, config.media.path),
+    eventServer: null,
+    natsPublisher,
+    webhookDispatcher,
+    normalizer: new EventNormalizer({
+      validate: eventsConfig.validate !== false,
+      accountId: accountId || null,
+      quarantinePath: path.resolve(PROJECT_ROOT, eventsConfig.quarantinePath || path.join(config.session.path, 'quarantine'))
+    }),
+    page: null
+  });
+
+  let stopped = false;
+  process.on('SIGINT', () => { stopped = true; });
+
+  const startedAt = Date.now();
+  let previousT = null;
+  let replayed = 0;
+  for (let item = await records.next(); !item.done && !stopped && replayed < limit; item = await records.next()) {
+    const { t, event } = item.value;
+    // Keep the recorded gaps between events, scaled by speed
+    if (speed !== Infinity && previousT !== null && t > previousT) {
+      await new Promise(resolve => setTimeout(resolve, (t - previousT) / speed));
+    }
+    previousT = t;
+
+    await client.emitEvent(event);
+    replayed++;
+    if (replayed % 100 === 0) console.log(`[Replay] ${replayed} event(s) replayed`);
+  }
+
+  console.log(`[Replay] ${stopped ? 'Stopped' : 'Done'}: ${replayed} event(s) in ${Date.now() - startedAt}ms`);
+
+  if (webhookDispatcher) {
+    // Let queued deliveries finish; whatever is still retrying goes to the dead-letter dir
+    const deadline = Date.now() + 30000;
+    while (Date.now() < deadline) {
+      const stats = webhookDispatcher.getStats();
+      if (!stats.queueLength && !stats.active) break;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    await webhookDispatcher.stop();
+  }
+  if (natsPublisher) natsPublisher.stop();
+  if (natsClient) await natsClient.close();
+}
+
+main().catch(err => {
+  console.error('[Replay] Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+/*
+ Bridge Sequence Tracker
+ - Follows seq/pageSessionId stamped by bridge.enqueue
+ - Detects gaps within a page session (after a grace period for reordering)
+ - Detects events lost to a page reload (tail of the previous session)
+ - Recognizes events delivered twice (a push retried after Node already got it)
+ - Produces bridge_gap diagnostics; emitting them is up to the caller
+*/
+
+class SequenceTracker {
+  constructor(options = {}) {
+    this.graceMs = options.graceMs || 5000;
+    this.session = null;   // current pageSessionId
+    this.expected = 1;     // next seq expected in the current session
+    this.highWater = 0;    // highest seq the bridge reported assigning
+    this.missing = [];     // [{ from, to, since }] not yet reported
+
+    this.stats = {
+      tracked: 0,
+      gaps: 0,
+      missed: 0,
+      lateArrivals: 0,
+      duplicates: 0,
+      sessions: 0
+    };
+  }
+
+  /**
+   * Feeds one bridge event. Returns gap diagnostics that are certain at
+   * this point (session changes); in-session gaps come out of sweep().
+   */
+  track(evt) {
+    if (!evt || typeof evt.seq !== 'number' || !evt.pageSessionId) return [];
+    this.stats.tracked++;
+
+    const gaps = [];
+    if (evt.pageSessionId !== this.session) {
+      gaps.push(...this._startSession(evt.pageSessionId, evt.seq));
+    }
+
+    const seq = evt.seq;
+    if (seq === this.expected) {
+      this.expected++;
+    } else if (seq > this.expected) {
+      this.missing.push({ from: this.expected, to: seq - 1, since: Date.now() });
+      this.expected = seq + 1;
+    } else if (this._fill(seq)) {
+      this.stats.lateArrivals++;
+    } else {
+      this.stats.duplicates++;
+    }
+
+    if (seq > this.highWater) this.highWater = seq;
+    return gaps;
+  }
+
+  /**
+   * True when the event's seq was already seen in the current session and was
+   * not part of an open gap, i.e. delivering it again would be a repeat.
+   */
+  isDuplicate(evt) {
+    if (!evt || typeof evt.seq !== 'number' || evt.pageSessionId !== this.session) return false;
+    if (evt.seq >= this.expected) return false;
+    return !this.missing.some(range => evt.seq >= range.from && evt.seq <= range.to);
+  }
+
+  /**
+   * Records the bridge's last assigned seq (from getStats) so a reload can
+   * tell how many queued events it took with it.
+   */
+  observe(pageSessionId, lastSeq) {
+    if (pageSessionId && pageSessionId === this.session && lastSeq > this.highWater) {
+      this.highWater = lastSeq;
+    }
+  }
+
+  /**
+   * Reports in-session gaps that stayed open longer than the grace period.
+   */
+  sweep(now = Date.now()) {
+    const gaps = [];
+    this.missing = this.missing.filter(range => {
+      if (now - range.since < this.graceMs) return true;
+      gaps.push(this._gap('sequence_gap', this.session, range.from, range.to));
+      return false;
+    });
+    return gaps;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pageSessionId: this.session,
+      lastSeq: this.expected - 1,
+      highWater: this.highWater,
+      openGaps: this.missing.length
+    };
+  }
+
+  // Private Methods
+
+  _startSession(pageSessionId, firstSeq) {
+    const gaps = [];
+    const previous = this.session;
+
+    if (previous) {
+      // Anything still open in the old session won't arrive anymore
+      for (const range of this.missing) {
+        gaps.push(this._gap('sequence_gap', previous, range.from, range.to));
+      }
+      const lastSeen = this.expected - 1;
+      if (this.highWater > lastSeen) {
+        gaps.push(this._gap('page_reload', previous, lastSeen + 1, this.highWater, { nextPageSessionId: pageSessionId }));
+      }
+    }
+
+    if (firstSeq > 1) {
+      // Events enqueued before we started listening to this document
+      gaps.push(this._gap('session_start', pageSessionId, 1, firstSeq - 1, { previousPageSessionId: previous }));
+    }
+
+    this.session = pageSessionId;
+    this.expected = firstSeq;
+    this.highWater = 0;
+    this.missing = [];
+    this.stats.sessions++;
+    return gaps;
+  }
+
+  _fill(seq) {
+    for (let i = 0; i < this.missing.length; i++) {
+      const range = this.missing[i];
+      if (seq < range.from || seq > range.to) continue;
+
+      const parts = [];
+      if (seq > range.from) parts.push({ from: range.from, to: seq - 1, since: range.since });
+      if (seq < range.to) parts.push({ from: seq + 1, to: range.to, since: range.since });
+      this.missing.splice(i, 1, ...parts);
+      return true;
+    }
+    return false;
+  }
+
+  _gap(reason, pageSessionId, fromSeq, toSeq, extra = {}) {
+    const missed = toSeq - fromSeq + 1;
+    this.stats.gaps++;
+    this.stats.missed += missed;
+    return { reason, pageSessionId, fromSeq, toSeq, missed, ...extra };
+  }
+}
+
+module.exports = SequenceTracker;
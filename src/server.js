@@ -2,6 +2,8 @@
  Simple HTTP Server to display raw event captures
  - Shows events in real-time via Server-Sent Events
  - Web interface at http://localhost:3001
+ - POST /webhook accepts events (local webhook sink for testing)
+ - GET /api/compat returns the latest WhatsApp Web compatibility report
 */
 const http = require('http');
 const fs = require('fs');
@@ -13,6 +15,8 @@ class EventServer {
     this.clients = new Set();
     this.events = [];
     this.maxEvents = 100; // Keep last 100 events
+    this.compat = null;
+    this.compatHistory = []; // one entry per distinct build/layout seen
     this.server = null;
   }
 
@@ -24,6 +28,10 @@ class EventServer {
         this.serveHTML(res);
       } else if (url.pathname === '/events') {
         this.serveSSE(req, res);
+      } else if (url.pathname === '/webhook' && req.method === 'POST') {
+        this.handleWebhook(req, res);
+      } else if (url.pathname === '/api/compat') {
+        this.serveCompat(res);
       } else {
         res.writeHead(404);
         res.end('Not Found');
@@ -95,17 +103,17 @@ class EventServer {
       const div = document.createElement('div');
       div.className = 'event';
       
-      const timestamp = new Date(event.timestamp).toLocaleString();
-      let content = \`<div class="event-type">\${event.event}</div>\`;
+      const timestamp = new Date(event.capturedAt).toLocaleString();
+      let content = \`<div class="event-type">\${event.type}</div>\`;
       content += \`<div class="timestamp">\${timestamp}</div>\`;
       
       // Special handling for QR events
-      if (event.event === 'qr' && event.rawData && event.rawData.dataURL) {
-        content += \`<img class="qr-image" src="\${event.rawData.dataURL}" alt="QR Code" />\`;
+      if (event.type === 'qr' && event.payload && event.payload.dataURL) {
+        content += \`<img class="qr-image" src="\${event.payload.dataURL}" alt="QR Code" />\`;
       }
       
       // Show raw data
-      content += \`<div class="raw-data">\${JSON.stringify(event.rawData, null, 2)}</div>\`;
+      content += \`<div class="raw-data">\${JSON.stringify(event.payload, null, 2)}</div>\`;
       
       div.innerHTML = content;
       eventsDiv.insertBefore(div, eventsDiv.firstChild);
@@ -160,7 +168,47 @@ class EventServer {
     });
   }
 
+  serveCompat(res) {
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify({
+      current: this.compat,
+      history: this.compatHistory
+    }, null, 2));
+  }
+
+  recordCompat(event) {
+    const report = event.payload || {};
+    this.compat = {
+      ...report,
+      accountId: event.accountId || null,
+      pageSessionId: (event.source && event.source.pageSessionId) || null,
+      capturedAt: event.capturedAt
+    };
+
+    const last = this.compatHistory[this.compatHistory.length - 1];
+    if (last && last.build === report.build && last.fingerprint === report.fingerprint) {
+      last.lastSeenAt = event.capturedAt;
+      return;
+    }
+    if (last) {
+      console.log(`[WRadar:server] WhatsApp Web changed: ${last.build || 'unknown'} (${last.fingerprint}) → ${report.build || 'unknown'} (${report.fingerprint})`);
+    }
+    this.compatHistory.push({
+      build: report.build || null,
+      fingerprint: report.fingerprint || null,
+      ok: !!report.ok,
+      missing: report.missing || [],
+      firstSeenAt: event.capturedAt,
+      lastSeenAt: event.capturedAt
+    });
+    if (this.compatHistory.length > 20) this.compatHistory.shift();
+  }
+
   addEvent(event) {
+    if (event && event.type === 'compat_report') this.recordCompat(event);
     this.events.push(event);
     if (this.events.length > this.maxEvents) {
       this.events.shift();
@@ -7,8 +7,9 @@ const fs = require('fs');
 const path = require('path');
 
 class Session {
-  constructor({ sessionPath, fileName }) {
+  constructor({ sessionPath, fileName, url = 'https://web.whatsapp.com/' }) {
     this.dir = sessionPath;
+    this.url = url;
     this.file = path.join(sessionPath, fileName);
     if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
   }
@@ -22,7 +23,7 @@ class Session {
         await page.setCookie(...data.cookies);
       }
       if (data.localStorage) {
-        await page.goto('https://web.whatsapp.com/', { waitUntil: 'domcontentloaded' });
+        await page.goto(this.url, { waitUntil: 'domcontentloaded' });
         await page.evaluate((ls) => {
           try {
             Object.entries(ls).forEach(([k, v]) => localStorage.setItem(k, v));
@@ -0,0 +1,258 @@
+/*
+ Browser Supervisor
+ - Owns the browser/page lifecycle around a start() callback
+ - Detects crashes: browser disconnected, page crashed or closed
+ - Detects hangs: heartbeat evaluate timeouts and a startup that never gets ready
+ - Relaunches with exponential backoff
+ - Emits 'failure', 'restart' and 'recovered' with counters for the event stream
+*/
+const EventEmitter = require('events');
+
+class BrowserSupervisor extends EventEmitter {
+  /**
+   * start() must launch a browser and return { browser, page, stop } once the
+   * page is set up; stop({ reason }) releases whatever start() attached to the page.
+   */
+  constructor(config = {}, { start }) {
+    super();
+    this.config = {
+      heartbeatMs: 15000,
+      heartbeatTimeoutMs: 10000,
+      maxMissedHeartbeats: 3,
+      readyTimeoutMs: 180000,
+      stableMs: 300000,
+      closeTimeoutMs: 10000,
+      restart: {
+        initialDelayMs: 2000,
+        maxDelayMs: 120000,
+        multiplier: 2
+      },
+      ...config
+    };
+    this.config.restart = {
+      initialDelayMs: 2000,
+      maxDelayMs: 120000,
+      multiplier: 2,
+      ...(config.restart || {})
+    };
+    this.startFn = start;
+
+    this.current = null;      // { browser, page, stop }
+    this.generation = 0;      // bumped per launch so stale listeners are ignored
+    this.restarting = false;
+    this.stopped = false;
+    this.heartbeatTimer = null;
+    this.readyTimer = null;
+    this.missed = 0;
+    this.readyAt = 0;
+    this.waitingForLogin = false;
+
+    this.stats = {
+      launches: 0,
+      restarts: 0,
+      attempt: 0,
+      lastFailure: null
+    };
+  }
+
+  async start() {
+    this.stopped = false;
+    await this._launch();
+    return this.current;
+  }
+
+  getPage() {
+    return this.current ? this.current.page : null;
+  }
+
+  /**
+   * WhatsApp Web reported ready; from here on only crashes and hangs count.
+   */
+  notifyReady() {
+    this.readyAt = this.readyAt || Date.now();
+    this.waitingForLogin = false;
+    this._clearReadyTimer();
+  }
+
+  /**
+   * A QR is on screen: the page works, it is waiting for someone to scan.
+   */
+  notifyQr() {
+    this.waitingForLogin = true;
+    this._clearReadyTimer();
+  }
+
+  async stop() {
+    this.stopped = true;
+    this._clearTimers();
+    await this._teardown();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      restarting: this.restarting,
+      ready: !!this.readyAt,
+      waitingForLogin: this.waitingForLogin,
+      uptimeMs: this.readyAt ? Date.now() - this.readyAt : 0
+    };
+  }
+
+  // Private Lifecycle Methods
+
+  async _launch() {
+    const generation = ++this.generation;
+    this.readyAt = 0;
+    this.missed = 0;
+    this.waitingForLogin = false;
+
+    const current = await this.startFn();
+    if (this.stopped) {
+      // stop() ran while the browser was starting; nobody else will close it
+      await this._teardown(null, current);
+      return;
+    }
+    this.current = current;
+    this.stats.launches++;
+    this._watch(this.current, generation);
+  }
+
+  _watch({ browser, page }, generation) {
+    const fail = (reason, detail) => {
+      if (generation === this.generation) this._fail(reason, detail);
+    };
+
+    browser.on('disconnected', () => fail('browser_disconnected'));
+    // Puppeteer reports renderer crashes as page 'error'
+    page.on('error', (err) => fail('page_crashed', err && err.message));
+    page.on('close', () => fail('page_closed'));
+
+    this._clearTimers();
+    this.heartbeatTimer = setInterval(() => this._heartbeat(page, generation), this.config.heartbeatMs);
+    this.readyTimer = setTimeout(() => {
+      if (!this.readyAt && !this.waitingForLogin) fail('ready_timeout', `not ready after ${this.config.readyTimeoutMs}ms`);
+    }, this.config.readyTimeoutMs);
+  }
+
+  async _heartbeat(page, generation) {
+    if (this.restarting || generation !== this.generation) return;
+    let timer = null;
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('heartbeat timeout')), this.config.heartbeatTimeoutMs);
+      });
+      await Promise.race([page.evaluate(() => Date.now()), timeout]);
+      this.missed = 0;
+    } catch (error) {
+      // Navigation destroys the context for a moment; only timeouts mean a hung renderer
+      if (error.message !== 'heartbeat timeout') return;
+      this.missed++;
+      console.log(`[Supervisor] Heartbeat missed (${this.missed}/${this.config.maxMissedHeartbeats})`);
+      if (this.missed >= this.config.maxMissedHeartbeats && generation === this.generation) {
+        this._fail('page_unresponsive', `${this.missed} heartbeats timed out`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _fail(reason, detail) {
+    if (this.restarting || this.stopped) return;
+    this.restarting = true;
+    this.stats.lastFailure = { reason, detail: detail || null, at: Date.now() };
+    console.log(`[Supervisor] Browser failure: ${reason}${detail ? ` (${detail})` : ''}`);
+    this.emit('failure', { reason, detail: detail || null });
+    this._restart(reason).catch(() => {});
+  }
+
+  async _restart(reason) {
+    this._clearTimers();
+    const failedAt = Date.now();
+
+    // A run that stayed healthy long enough starts the backoff over
+    if (this.readyAt && failedAt - this.readyAt >= this.config.stableMs) {
+      this.stats.attempt = 0;
+    }
+    await this._teardown(reason);
+
+    while (!this.stopped) {
+      this.stats.attempt++;
+      this.stats.restarts++;
+      const delayMs = this._nextDelay();
+      console.log(`[Supervisor] Relaunching in ${delayMs}ms (attempt ${this.stats.attempt}, ${this.stats.restarts} restart(s) total)`);
+      this.emit('restart', { reason, attempt: this.stats.attempt, delayMs, restarts: this.stats.restarts });
+
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      if (this.stopped) return;
+
+      try {
+        await this._launch();
+        if (this.stopped) return;
+        this.restarting = false;
+        console.log('[Supervisor] Browser relaunched');
+        this.emit('recovered', { reason, attempt: this.stats.attempt, restarts: this.stats.restarts, downtimeMs: Date.now() - failedAt });
+        return;
+      } catch (error) {
+        console.log(`[Supervisor] Relaunch failed: ${error.message}`);
+        reason = 'launch_failed';
+        await this._teardown();
+      }
+    }
+  }
+
+  async _teardown(reason = null, current = this.current) {
+    if (current === this.current) this.current = null;
+    if (!current) return;
+
+    // stop() may talk to the page, which can be the one that just hung
+    try {
+      if (current.stop) await this._withTimeout(current.stop({ reason }), 'stop timeout');
+    } catch (error) {
+      console.log(`[Supervisor] Page cleanup did not finish: ${error.message}`);
+    }
+
+    // A hung browser may never answer close(); kill the process instead
+    try {
+      await this._withTimeout(current.browser.close(), 'close timeout');
+    } catch (_) {
+      try {
+        const proc = current.browser.process();
+        if (proc) proc.kill('SIGKILL');
+      } catch (_) {}
+    }
+  }
+
+  async _withTimeout(promise, message) {
+    let timer = null;
+    try {
+      return await Promise.race([
+        promise,
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), this.config.closeTimeoutMs); })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _nextDelay() {
+    const { initialDelayMs, maxDelayMs, multiplier } = this.config.restart;
+    return Math.min(initialDelayMs * Math.pow(multiplier, this.stats.attempt - 1), maxDelayMs);
+  }
+
+  _clearReadyTimer() {
+    if (this.readyTimer) {
+      clearTimeout(this.readyTimer);
+      this.readyTimer = null;
+    }
+  }
+
+  _clearTimers() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this._clearReadyTimer();
+  }
+}
+
+module.exports = BrowserSupervisor;
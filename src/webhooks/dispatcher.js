@@ -0,0 +1,247 @@
+/*
+ Webhook Dispatcher
+ - Delivers events to HTTP targets configured per event type
+ - Signs each body with HMAC-SHA256 (X-WRadar-Signature)
+ - Retries with exponential backoff
+ - Writes undeliverable events to a dead-letter directory
+*/
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class WebhookDispatcher {
+  constructor(config = {}, { deadLetterDir } = {}) {
+    this.config = {
+      enabled: true,
+      targets: [],
+      timeoutMs: 10000,
+      maxConcurrent: 5,
+      maxQueueSize: 1000,
+      retry: {
+        attempts: 5,
+        baseDelayMs: 1000,
+        maxDelayMs: 60000
+      },
+      ...config
+    };
+    this.config.retry = {
+      attempts: 5,
+      baseDelayMs: 1000,
+      maxDelayMs: 60000,
+      ...(config.retry || {})
+    };
+    this.deadLetterDir = deadLetterDir || null;
+
+    this.queue = [];
+    this.active = 0;
+    this.retryTimers = new Map();
+    this.stopped = false;
+
+    // Statistics
+    this.stats = {
+      dispatched: 0,
+      delivered: 0,
+      retries: 0,
+      failed: 0,
+      dropped: 0,
+      deadLettered: 0
+    };
+
+    if (this.deadLetterDir) this._ensureDir(this.deadLetterDir);
+  }
+
+  /**
+   * Queues an event for every target subscribed to its type.
+   * Never throws and never waits for delivery.
+   */
+  dispatch(event) {
+    if (!this.config.enabled || this.stopped || !event) return 0;
+
+    const eventName = event.type || event.event || 'unknown';
+    let queued = 0;
+    for (const target of this.config.targets) {
+      if (!target || !target.url || !this._matches(target, eventName)) continue;
+
+      if (this.queue.length >= this.config.maxQueueSize) {
+        console.log(`[Webhooks] Queue full (${this.config.maxQueueSize}), dropping ${eventName} for ${target.url}`);
+        this.stats.dropped++;
+        this._writeDeadLetter({ target, event, attempt: 0, deliveryId: crypto.randomUUID() }, 'queue_full');
+        continue;
+      }
+
+      this.queue.push({
+        target,
+        event,
+        deliveryId: crypto.randomUUID(),
+        attempt: 0,
+        lastError: null,
+        lastStatus: null
+      });
+      this.stats.dispatched++;
+      queued++;
+    }
+
+    if (queued) this._drain();
+    return queued;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      queueLength: this.queue.length,
+      active: this.active,
+      pendingRetries: this.retryTimers.size,
+      targets: this.config.targets.length
+    };
+  }
+
+  /**
+   * Stops delivery. Anything still queued or waiting for a retry is
+   * written to the dead-letter directory so it can be re-sent later.
+   */
+  async stop() {
+    this.stopped = true;
+    for (const [timer, item] of this.retryTimers.entries()) {
+      clearTimeout(timer);
+      this._writeDeadLetter(item, 'shutdown');
+    }
+    this.retryTimers.clear();
+    while (this.queue.length) {
+      this._writeDeadLetter(this.queue.shift(), 'shutdown');
+    }
+  }
+
+  // Private Delivery Methods
+
+  _drain() {
+    while (!this.stopped && this.active < this.config.maxConcurrent && this.queue.length) {
+      const item = this.queue.shift();
+      this.active++;
+      this._deliver(item)
+        .catch(() => {})
+        .finally(() => {
+          this.active--;
+          this._drain();
+        });
+    }
+  }
+
+  async _deliver(item) {
+    item.attempt++;
+    const { target, event } = item;
+    const eventName = event.type || event.event || 'unknown';
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const headers = {
+      ...(target.headers || {}),
+      'Content-Type': 'application/json',
+      'User-Agent': 'WRadar-Webhooks',
+      'X-WRadar-Event': eventName,
+      'X-WRadar-Delivery': item.deliveryId,
+      'X-WRadar-Timestamp': String(timestamp),
+      'X-WRadar-Attempt': String(item.attempt)
+    };
+    const secret = target.secret || this.config.secret;
+    if (secret) {
+      headers['X-WRadar-Signature'] = `sha256=${this._sign(secret, timestamp, body)}`;
+    }
+
+    try {
+      const res = await fetch(target.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(target.timeoutMs || this.config.timeoutMs)
+      });
+      item.lastStatus = res.status;
+
+      if (res.ok) {
+        this.stats.delivered++;
+        console.log(`[Webhooks] Delivered ${eventName} to ${target.url} (${res.status})`);
+        return;
+      }
+      item.lastError = `HTTP ${res.status}`;
+
+      // Client errors won't get better by retrying, except timeouts and rate limits
+      if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) {
+        this._fail(item);
+        return;
+      }
+    } catch (error) {
+      item.lastError = error.name === 'TimeoutError' ? 'timeout' : error.message;
+    }
+
+    this._scheduleRetry(item);
+  }
+
+  _scheduleRetry(item) {
+    if (this.stopped || item.attempt >= this.config.retry.attempts) {
+      this._fail(item);
+      return;
+    }
+
+    const { baseDelayMs, maxDelayMs } = this.config.retry;
+    const delay = Math.min(baseDelayMs * Math.pow(2, item.attempt - 1), maxDelayMs);
+    this.stats.retries++;
+    console.log(`[Webhooks] ${item.target.url} failed (${item.lastError}), retry ${item.attempt + 1} in ${delay}ms`);
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.queue.push(item);
+      this._drain();
+    }, delay);
+    this.retryTimers.set(timer, item);
+  }
+
+  _fail(item) {
+    this.stats.failed++;
+    console.log(`[Webhooks] Giving up on ${item.event.type || item.event.event} for ${item.target.url} after ${item.attempt} attempt(s): ${item.lastError}`);
+    this._writeDeadLetter(item, item.lastError);
+  }
+
+  // Private Utility Methods
+
+  _matches(target, eventName) {
+    const events = target.events;
+    if (!events || events.length === 0) return true;
+    return events.some(pattern => {
+      if (pattern === '*') return true;
+      if (pattern.endsWith('*')) return eventName.startsWith(pattern.slice(0, -1));
+      return pattern === eventName;
+    });
+  }
+
+  _sign(secret, timestamp, body) {
+    // Signed content is "<timestamp>.<body>" so a captured request can't be replayed with a new timestamp
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  _writeDeadLetter(item, reason) {
+    if (!this.deadLetterDir) return;
+    try {
+      const record = {
+        deliveryId: item.deliveryId,
+        url: item.target.url,
+        attempts: item.attempt,
+        reason: reason || 'unknown',
+        lastStatus: item.lastStatus || null,
+        failedAt: Date.now(),
+        event: item.event
+      };
+      const file = path.join(this.deadLetterDir, `${record.failedAt}_${item.deliveryId}.json`);
+      fs.writeFileSync(file, JSON.stringify(record, null, 2));
+      this.stats.deadLettered++;
+    } catch (error) {
+      console.log(`[Webhooks] Failed to write dead letter: ${error.message}`);
+    }
+  }
+
+  _ensureDir(dir) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+}
+
+module.exports = WebhookDispatcher;
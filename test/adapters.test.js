@@ -0,0 +1,139 @@
+/*
+ Store Adapter Tests
+ - Loads the injected adapter scripts in Node and resolves them against fake windows
+ - Fake window.require serves WAWeb* modules from a plain object
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const registry = require('../src/injected/adapters/registry');
+require('../src/injected/adapters/waweb');
+require('../src/injected/adapters/webpack-chunk');
+require('../src/injected/adapters/window-store');
+
+function collection(models = []) {
+  return { on() {}, get() {}, getModelsArray: () => models };
+}
+
+function fakeModules(overrides = {}) {
+  return {
+    WAWebCollections: { Msg: collection(), Chat: collection() },
+    WAWebConnModel: { Conn: { on() {} } },
+    WAWebCmd: { Cmd: {} },
+    WAWebUserPrefsMeUser: { getMaybeMeUser() {} },
+    WAWebChatLoadMessages: { loadEarlierMsgs() {} },
+    WAWebBlobUtils: { default: { downloadMedia() {} } },
+    ...overrides
+  };
+}
+
+function fakeRequire(modules) {
+  return (name) => {
+    if (!modules[name]) throw new Error(`Requiring unknown module "${name}"`);
+    return modules[name];
+  };
+}
+
+test('registers adapters by priority', () => {
+  assert.deepStrictEqual(registry.list().map(a => a.name), ['window-store', 'waweb', 'webpack-chunk']);
+  assert.deepStrictEqual(registry.moduleMaps().map(m => m.name), ['waweb']);
+});
+
+test('waweb builds the Store from window.require', () => {
+  const modules = fakeModules();
+  const win = { require: fakeRequire(modules) };
+  const result = registry.resolve(win);
+
+  assert.strictEqual(result.adapter, 'waweb');
+  assert.strictEqual(result.source, 'require');
+  assert.strictEqual(win.Store, result.store);
+  assert.strictEqual(result.store.Msg, modules.WAWebCollections.Msg);
+  assert.strictEqual(result.store.Conn, modules.WAWebConnModel.Conn);
+  assert.strictEqual(result.store.ConversationMsgs, modules.WAWebChatLoadMessages);
+  assert.strictEqual(result.store.WidFactory, undefined);
+  assert.strictEqual(result.downloadStrategy, 'module:WAWebBlobUtils.default');
+  assert.deepStrictEqual(result.required, ['WAWebCollections', 'WAWebConnModel', 'WAWebCmd', 'WAWebUserPrefsMeUser']);
+  assert.deepStrictEqual(result.modules.WAWebCollections, { resolved: true, error: null });
+  assert.strictEqual(result.modules.WAWebWidFactory.resolved, false);
+  assert.deepStrictEqual(result.tried.map(t => [t.name, t.probed, t.error]), [
+    ['window-store', false, null],
+    ['waweb', true, null]
+  ]);
+});
+
+test('a renamed required module fails the adapter and is reported', () => {
+  const modules = fakeModules();
+  delete modules.WAWebConnModel;
+  const win = { require: fakeRequire(modules) };
+  const result = registry.resolve(win);
+
+  assert.strictEqual(result.store, null);
+  assert.strictEqual(win.Store, undefined);
+  assert.strictEqual(result.adapter, 'waweb');
+  assert.ok(result.required.includes('WAWebConnModel'));
+  assert.deepStrictEqual(result.modules.WAWebConnModel, { resolved: false, error: 'Requiring unknown module "WAWebConnModel"' });
+  const waweb = result.tried.find(t => t.name === 'waweb');
+  assert.strictEqual(waweb.probed, true);
+  assert.match(waweb.error, /WAWebConnModel/);
+});
+
+test('webpack-chunk installs require and walks the module maps', () => {
+  const modules = fakeModules();
+  const pushed = [];
+  const win = {
+    webpackChunkwhatsapp_web_client: {
+      push(chunk) {
+        pushed.push(chunk);
+        chunk[2](fakeRequire(modules));
+      }
+    }
+  };
+  const result = registry.resolve(win);
+
+  assert.strictEqual(pushed.length, 1);
+  assert.strictEqual(typeof win.require, 'function');
+  assert.strictEqual(result.adapter, 'webpack-chunk');
+  assert.strictEqual(result.source, 'webpack_chunk');
+  assert.strictEqual(result.store.Conn, modules.WAWebConnModel.Conn);
+  assert.ok(result.required.includes('WAWebCollections'));
+  assert.deepStrictEqual(result.tried.map(t => [t.name, t.probed]), [
+    ['window-store', false],
+    ['waweb', false],
+    ['webpack-chunk', true]
+  ]);
+});
+
+test('window-store takes priority over module lookups', () => {
+  const store = { Msg: collection(), Conn: {} };
+  let required = 0;
+  const win = {
+    Store: store,
+    require: (name) => {
+      required++;
+      return fakeModules()[name];
+    }
+  };
+  const result = registry.resolve(win);
+
+  assert.strictEqual(result.adapter, 'window-store');
+  assert.strictEqual(result.source, 'window_store');
+  assert.strictEqual(result.store, store);
+  assert.strictEqual(required, 0);
+  assert.deepStrictEqual(result.tried.map(t => t.name), ['window-store']);
+});
+
+test('no adapter matches an empty window', () => {
+  const result = registry.resolve({});
+
+  assert.strictEqual(result.store, null);
+  assert.strictEqual(result.adapter, null);
+  assert.ok(result.tried.every(t => !t.probed));
+});
+
+test('download falls back to the message method when media messages have one', () => {
+  const media = { type: 'image', downloadMedia: async () => 'blob' };
+  const modules = fakeModules({ WAWebCollections: { Msg: collection([media]), Chat: collection() } });
+  const result = registry.resolve({ require: fakeRequire(modules) });
+
+  assert.strictEqual(result.downloadStrategy, 'message_method');
+});